@@ -0,0 +1,191 @@
+/**
+ * Signed challenge authentication tests
+ */
+
+const { startTestServer, createKeyPair, signChallenge, TestClient, connectAs } = require('./helpers/client');
+
+let serverModule;
+
+beforeAll(async () => {
+  serverModule = await startTestServer();
+});
+
+afterAll(async () => {
+  await serverModule.stop();
+});
+
+describe('auth handshake', () => {
+  test('issues a challenge on connect', async () => {
+    const client = await new TestClient(serverModule.url).open();
+    const challenge = await client.next('auth_challenge');
+
+    expect(challenge.data.challenge).toMatch(/^[0-9a-f]{64}$/);
+    expect(new Date(challenge.data.expiresAt).getTime()).toBeGreaterThan(Date.now());
+
+    await client.close();
+  });
+
+  test('binds the session when the challenge is signed with the session key', async () => {
+    const client = await connectAs(serverModule.url, 'auth-valid');
+    await client.close();
+  });
+
+  test('rejects a signature made with a different key', async () => {
+    const keys = createKeyPair();
+    const forger = createKeyPair();
+    const client = await new TestClient(serverModule.url).open();
+    const challenge = await client.next('auth_challenge');
+
+    client.send('auth', {
+      sessionId: 'auth-forged',
+      publicKey: keys.publicKey,
+      signature: signChallenge(forger.privateKey, challenge.data.challenge)
+    });
+
+    const failure = await client.next('auth_failed');
+    expect(failure.data.reason).toBe('invalid_signature');
+
+    await client.close();
+  });
+
+  test('rejects a response replayed from another connection', async () => {
+    const keys = createKeyPair();
+    const victim = await new TestClient(serverModule.url).open();
+    const victimChallenge = await victim.next('auth_challenge');
+    const capturedSignature = signChallenge(keys.privateKey, victimChallenge.data.challenge);
+
+    const attacker = await new TestClient(serverModule.url).open();
+    await attacker.next('auth_challenge');
+    attacker.send('auth', {
+      sessionId: 'auth-replayed',
+      publicKey: keys.publicKey,
+      signature: capturedSignature
+    });
+
+    const failure = await attacker.next('auth_failed');
+    expect(failure.data.reason).toBe('invalid_signature');
+
+    await victim.close();
+    await attacker.close();
+  });
+
+  test('rejects a response replayed on the same connection', async () => {
+    const keys = createKeyPair();
+    const client = await new TestClient(serverModule.url).open();
+    const challenge = await client.next('auth_challenge');
+    const auth = {
+      sessionId: 'auth-reused',
+      publicKey: keys.publicKey,
+      signature: signChallenge(keys.privateKey, challenge.data.challenge)
+    };
+
+    client.send('auth', auth);
+    await client.next('auth_success');
+
+    client.send('auth', auth);
+    const failure = await client.next('auth_failed');
+    expect(failure.data.reason).toBe('no_challenge');
+
+    await client.close();
+  });
+
+  test('rejects a different key for an already bound session', async () => {
+    const owner = await connectAs(serverModule.url, 'auth-owned');
+    await owner.close();
+
+    const impostorKeys = createKeyPair();
+    const impostor = await new TestClient(serverModule.url).open();
+    const challenge = await impostor.next('auth_challenge');
+    impostor.send('auth', {
+      sessionId: 'auth-owned',
+      publicKey: impostorKeys.publicKey,
+      signature: signChallenge(impostorKeys.privateKey, challenge.data.challenge)
+    });
+
+    const failure = await impostor.next('auth_failed');
+    expect(failure.data.reason).toBe('key_mismatch');
+
+    await impostor.close();
+  });
+
+  test('requires a public key and signature', async () => {
+    const client = await new TestClient(serverModule.url).open();
+    await client.next('auth_challenge');
+
+    client.send('auth', { sessionId: 'auth-bare' });
+    const failure = await client.next('auth_failed');
+    expect(failure.data.reason).toBe('missing_proof');
+
+    await client.close();
+  });
+
+  test('allows a retry with the fresh challenge after a failure', async () => {
+    const keys = createKeyPair();
+    const client = await new TestClient(serverModule.url).open();
+    await client.next('auth_challenge');
+
+    client.send('auth', { sessionId: 'auth-retry', publicKey: keys.publicKey, signature: '00'.repeat(64) });
+    await client.next('auth_failed');
+
+    const retry = await client.next('auth_challenge');
+    client.send('auth', {
+      sessionId: 'auth-retry',
+      publicKey: keys.publicKey,
+      signature: signChallenge(keys.privateKey, retry.data.challenge)
+    });
+    await client.next('auth_success');
+
+    await client.close();
+  });
+
+  test('does not register a connection that closed during the handshake', async () => {
+    const { cluster } = serverModule;
+    const locateSession = cluster.locateSession;
+    const keys = createKeyPair();
+    const client = await new TestClient(serverModule.url).open();
+    const challenge = await client.next('auth_challenge');
+
+    // Hold the handshake until the client has gone, as a slow storage or cluster backend would
+    cluster.locateSession = async sessionId => {
+      if (sessionId === 'auth-dropped') {
+        await client.close();
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+      return locateSession.call(cluster, sessionId);
+    };
+
+    try {
+      client.send('auth', {
+        sessionId: 'auth-dropped',
+        publicKey: keys.publicKey,
+        signature: signChallenge(keys.privateKey, challenge.data.challenge)
+      });
+      await new Promise(resolve => setTimeout(resolve, 150));
+    } finally {
+      cluster.locateSession = locateSession;
+    }
+
+    expect(await cluster.locateSession('auth-dropped')).toEqual([]);
+    expect(await serverModule.storage.listDevices('auth-dropped')).toEqual([]);
+  });
+
+  test('refuses to re-authenticate a connection as another session', async () => {
+    const alice = await connectAs(serverModule.url, 'auth-switch-alice');
+    const bob = await connectAs(serverModule.url, 'auth-switch-bob');
+    const carol = await connectAs(serverModule.url, 'auth-switch-carol');
+
+    alice.send('auth', { sessionId: 'auth-switch-bob', token: bob.tokens.accessToken });
+    expect((await alice.next('auth_failed')).data.reason).toBe('already_authenticated');
+
+    // The connection still belongs to alice only
+    carol.send('message_send', { id: 'switch-1', recipientId: 'auth-switch-alice', content: 'for alice' });
+    expect((await alice.next('message_received')).data.id).toBe('switch-1');
+    carol.send('message_send', { id: 'switch-2', recipientId: 'auth-switch-bob', content: 'for bob' });
+    expect((await bob.next('message_received')).data.id).toBe('switch-2');
+    expect(await alice.expectNone('message_received', msg => msg.data.id === 'switch-2')).toBe(true);
+
+    await alice.close();
+    await bob.close();
+    await carol.close();
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Cluster routing tests
+ * The multi-node tests run against a local redis-server when REDIS_URL is set:
+ *   REDIS_URL=redis://localhost:6379 npm test
+ */
+
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { createLocalCluster } = require('../cluster');
+const { createKeyPair, connectAs, signChallenge } = require('./helpers/client');
+
+describe('local cluster', () => {
+  test('tracks sessions connected to this process', async () => {
+    const cluster = createLocalCluster();
+    await cluster.registerSession('s1');
+    await cluster.registerSession('s2');
+
+    expect(await cluster.locateSession('s1')).toEqual([cluster.nodeId]);
+    expect((await cluster.listOnlineSessions()).sort()).toEqual(['s1', 's2']);
+    expect(await cluster.filterOnlineSessions(['s2', 's3', 's1'])).toEqual(['s2', 's1']);
+
+    await cluster.unregisterSession('s1');
+    expect(await cluster.locateSession('s1')).toEqual([]);
+  });
+});
+
+const describeWithRedis = process.env.REDIS_URL ? describe : describe.skip;
+
+describeWithRedis('redis cluster', () => {
+  const nodes = [];
+
+  function startNode(nodeId) {
+    process.env.NODE_ID = nodeId;
+    process.env.CLUSTER_BACKEND = 'redis';
+    process.env.STORAGE_BACKEND = 'redis';
+    process.env.REDIS_PREFIX = `askless-test-${process.pid}:`;
+    process.env.LOG_FILE = path.join(os.tmpdir(), `session-messenger-test-${process.pid}.log`);
+    console.log = () => {};
+
+    let serverModule;
+    jest.isolateModules(() => {
+      serverModule = require('../server');
+    });
+    nodes.push(serverModule);
+
+    return serverModule.start(0).then(server => {
+      serverModule.url = `ws://localhost:${server.address().port}`;
+      return serverModule;
+    });
+  }
+
+  afterAll(async () => {
+    const { client } = nodes[0].storage;
+    const keys = await client.keys(`${process.env.REDIS_PREFIX}*`);
+    if (keys.length > 0) {
+      await client.del(keys);
+    }
+    for (const node of nodes) {
+      await node.stop();
+    }
+  });
+
+  test('routes messages to a session connected to another node', async () => {
+    const nodeA = await startNode('node-a');
+    const nodeB = await startNode('node-b');
+
+    const alice = await connectAs(nodeA.url, 'cluster-alice');
+    const bob = await connectAs(nodeB.url, 'cluster-bob');
+
+    alice.send('message_send', { id: 'cross-1', recipientId: 'cluster-bob', content: 'Hello from A' });
+    expect((await bob.next('message_received')).data.content).toBe('Hello from A');
+    expect(await nodeA.cluster.filterOnlineSessions(['cluster-bob', 'cluster-nobody', 'cluster-alice']))
+      .toEqual(['cluster-bob', 'cluster-alice']);
+
+    await alice.close();
+    await bob.close();
+  });
+
+  test('queues for a session that moved offline and delivers on another node', async () => {
+    const [nodeA, nodeB] = nodes;
+    const bobKeys = createKeyPair();
+
+    const bob = await connectAs(nodeB.url, 'cluster-bob-2', bobKeys);
+    await bob.close();
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const alice = await connectAs(nodeA.url, 'cluster-alice-2');
+    alice.send('message_send', { id: 'cross-2', recipientId: 'cluster-bob-2', content: 'While you were away' });
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const bobAgain = await connectAs(nodeA.url, 'cluster-bob-2', bobKeys);
+    expect((await bobAgain.next('message_received')).data.content).toBe('While you were away');
+
+    await alice.close();
+    await bobAgain.close();
+  });
+
+  test('shares HTTP challenges and token revocations between nodes', async () => {
+    const [nodeA, nodeB] = nodes;
+    const keys = createKeyPair();
+
+    const { body: challenge } = await request(nodeA.app).get('/auth/challenge');
+    const { body: issued } = await request(nodeB.app)
+      .post('/auth/token')
+      .send({
+        sessionId: 'cluster-carol',
+        publicKey: keys.publicKey,
+        challenge: challenge.challenge,
+        signature: signChallenge(keys.privateKey, challenge.challenge)
+      })
+      .expect(200);
+
+    await request(nodeA.app).post('/auth/revoke').send({ token: issued.refreshToken }).expect(200);
+    await request(nodeB.app).post('/auth/refresh').send({ refreshToken: issued.refreshToken }).expect(401);
+  });
+});
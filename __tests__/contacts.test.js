@@ -0,0 +1,112 @@
+/**
+ * Contact graph tests
+ */
+
+const { startTestServer, createKeyPair, connectAs, makeContacts } = require('./helpers/client');
+
+let serverModule;
+
+beforeAll(async () => {
+  serverModule = await startTestServer();
+});
+
+afterAll(async () => {
+  await serverModule.stop();
+});
+
+async function listContacts(client) {
+  client.send('contacts_list');
+  return (await client.next('contacts')).data.contacts;
+}
+
+describe('contacts', () => {
+  test('accepting an invitation makes both sides contacts', async () => {
+    const alice = await connectAs(serverModule.url, 'contacts-alice-1');
+    const bob = await connectAs(serverModule.url, 'contacts-bob-1');
+
+    alice.send('invitation_send', { id: 'contacts-invite-1', recipientId: 'contacts-bob-1' });
+    await bob.next('invitation_received');
+    bob.send('invitation_accept', { invitationId: 'contacts-invite-1' });
+
+    const added = await alice.next('contact_added');
+    expect(added.data).toMatchObject({ sessionId: 'contacts-bob-1', online: true });
+    expect((await bob.next('contact_added')).data.sessionId).toBe('contacts-alice-1');
+
+    expect(await listContacts(alice)).toEqual([{ sessionId: 'contacts-bob-1', since: added.data.since, online: true }]);
+    expect((await listContacts(bob)).map(contact => contact.sessionId)).toEqual(['contacts-alice-1']);
+
+    await bob.close();
+    expect(await listContacts(alice)).toEqual([{ sessionId: 'contacts-bob-1', since: added.data.since, online: false }]);
+
+    await alice.close();
+  });
+
+  test('declined invitations do not create contacts', async () => {
+    const alice = await connectAs(serverModule.url, 'contacts-alice-2');
+    const bob = await connectAs(serverModule.url, 'contacts-bob-2');
+
+    alice.send('invitation_send', { id: 'contacts-invite-2', recipientId: 'contacts-bob-2' });
+    await bob.next('invitation_received');
+    bob.send('invitation_decline', { invitationId: 'contacts-invite-2' });
+    await alice.next('invitation_response');
+
+    expect(await listContacts(alice)).toEqual([]);
+    expect(await alice.expectNone('contact_added')).toBe(true);
+
+    await alice.close();
+    await bob.close();
+  });
+});
+
+describe('presence', () => {
+  test('notifies contacts only, not everyone with a shared conversation', async () => {
+    const aliceKeys = createKeyPair();
+    const alice = await connectAs(serverModule.url, 'contacts-alice-3', aliceKeys);
+    const bob = await connectAs(serverModule.url, 'contacts-bob-3');
+    const stranger = await connectAs(serverModule.url, 'contacts-stranger-3');
+
+    await makeContacts(alice, bob);
+    stranger.send('message_send', { id: 'stranger-1', recipientId: 'contacts-alice-3', content: 'hi' });
+    await alice.next('message_received');
+
+    await alice.close();
+    expect((await bob.next('contact_offline')).data.sessionId).toBe('contacts-alice-3');
+    expect(await stranger.expectNone('contact_offline')).toBe(true);
+
+    const aliceAgain = await connectAs(serverModule.url, 'contacts-alice-3', aliceKeys);
+    expect((await bob.next('contact_online')).data.sessionId).toBe('contacts-alice-3');
+    expect(await stranger.expectNone('contact_online')).toBe(true);
+
+    await aliceAgain.close();
+    await bob.close();
+    await stranger.close();
+  });
+});
+
+describe('contact removal', () => {
+  test('removes the contact on both sides and stops presence updates', async () => {
+    const alice = await connectAs(serverModule.url, 'contacts-alice-4');
+    const bob = await connectAs(serverModule.url, 'contacts-bob-4');
+    await makeContacts(alice, bob);
+
+    alice.send('contact_remove', { sessionId: 'contacts-bob-4' });
+    expect((await alice.next('contact_removed')).data.sessionId).toBe('contacts-bob-4');
+    expect((await bob.next('contact_removed')).data.sessionId).toBe('contacts-alice-4');
+
+    expect(await listContacts(alice)).toEqual([]);
+    expect(await listContacts(bob)).toEqual([]);
+
+    await alice.close();
+    expect(await bob.expectNone('contact_offline')).toBe(true);
+    await bob.close();
+  });
+
+  test('reports NOT_FOUND for someone who is not a contact', async () => {
+    const alice = await connectAs(serverModule.url, 'contacts-alice-5');
+
+    alice.send('contact_remove', { sessionId: 'contacts-nobody-5' });
+    expect((await alice.next('error')).data.code).toBe('NOT_FOUND');
+
+    await alice.close();
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Multi-device session tests
+ */
+
+const request = require('supertest');
+const { startTestServer, createKeyPair, connectAs, makeContacts, TestClient, signChallenge } = require('./helpers/client');
+
+let serverModule;
+
+beforeAll(async () => {
+  serverModule = await startTestServer();
+});
+
+afterAll(async () => {
+  await serverModule.stop();
+});
+
+// Connect a second device of an existing session (same session key)
+function connectDevice(client, deviceId, deviceName) {
+  return connectAs(serverModule.url, client.sessionId, client.keys, { deviceId, deviceName });
+}
+
+async function listDevices(client) {
+  client.send('devices_list');
+  return (await client.next('devices')).data.devices;
+}
+
+function closeCode(client) {
+  return new Promise(resolve => client.ws.once('close', code => resolve(code)));
+}
+
+describe('devices', () => {
+  test('assigns a device id when the client does not send one', async () => {
+    const alice = await connectAs(serverModule.url, 'devices-alice-1');
+    expect(alice.tokens.deviceId).toEqual(expect.any(String));
+
+    const phone = await connectDevice(alice, 'phone-1');
+    expect(phone.tokens.deviceId).toBe('phone-1');
+
+    await alice.close();
+    await phone.close();
+  });
+
+  test('assigns a device id when an HTTP token carries none', async () => {
+    const keys = createKeyPair();
+    const { body: challenge } = await request(serverModule.app).get('/auth/challenge');
+    const { body: tokens } = await request(serverModule.app)
+      .post('/auth/token')
+      .send({
+        sessionId: 'devices-alice-7',
+        publicKey: keys.publicKey,
+        challenge: challenge.challenge,
+        signature: signChallenge(keys.privateKey, challenge.challenge)
+      });
+
+    const client = await new TestClient(serverModule.url).open();
+    await client.next('auth_challenge');
+    client.send('auth', { sessionId: 'devices-alice-7', token: tokens.accessToken });
+    const { deviceId } = (await client.next('auth_success')).data;
+
+    expect(deviceId).toEqual(expect.any(String));
+    expect((await listDevices(client)).map(device => device.deviceId)).toEqual([deviceId]);
+
+    await client.close();
+  });
+
+  test('delivers to every connected device of a session', async () => {
+    const phone = await connectAs(serverModule.url, 'devices-bob-2', createKeyPair(), { deviceId: 'phone' });
+    const tablet = await connectDevice(phone, 'tablet');
+    const alice = await connectAs(serverModule.url, 'devices-alice-2');
+
+    alice.send('message_send', { id: 'multi-1', recipientId: 'devices-bob-2', content: 'to both' });
+
+    expect((await phone.next('message_received')).data.id).toBe('multi-1');
+    expect((await tablet.next('message_received')).data.id).toBe('multi-1');
+
+    await alice.close();
+    await phone.close();
+    await tablet.close();
+  });
+
+  test('syncs messages sent from one device to the other devices', async () => {
+    const phone = await connectAs(serverModule.url, 'devices-alice-3', createKeyPair(), { deviceId: 'phone' });
+    const tablet = await connectDevice(phone, 'tablet');
+    const bob = await connectAs(serverModule.url, 'devices-bob-3');
+    for (const client of [phone, tablet]) {
+      client.send('hello', { version: 2, features: ['devices'] });
+      await client.next('hello_ack');
+    }
+
+    phone.send('message_send', { id: 'sync-1', recipientId: 'devices-bob-3', content: 'from my phone' });
+
+    expect((await bob.next('message_received')).data.id).toBe('sync-1');
+    const synced = await tablet.next('message_sent');
+    expect(synced.data).toMatchObject({ id: 'sync-1', recipientId: 'devices-bob-3', isOutgoing: true });
+    expect(await phone.expectNone('message_sent')).toBe(true);
+
+    await bob.close();
+    await phone.close();
+    await tablet.close();
+  });
+
+  test('lists devices with their connection state', async () => {
+    const phone = await connectAs(serverModule.url, 'devices-alice-4', createKeyPair(), { deviceId: 'phone', deviceName: 'Pixel' });
+    const tablet = await connectDevice(phone, 'tablet', 'iPad');
+
+    let devices = await listDevices(phone);
+    expect(devices.map(device => device.deviceId).sort()).toEqual(['phone', 'tablet']);
+    expect(devices.find(device => device.deviceId === 'phone')).toMatchObject({ deviceName: 'Pixel', online: true, current: true });
+    expect(devices.find(device => device.deviceId === 'tablet')).toMatchObject({ deviceName: 'iPad', online: true, current: false });
+
+    await tablet.close();
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    devices = await listDevices(phone);
+    expect(devices.find(device => device.deviceId === 'tablet')).toMatchObject({ online: false, lastSeenAt: expect.any(String) });
+
+    await phone.close();
+  });
+
+  test('revoking a device disconnects it and invalidates its tokens', async () => {
+    const phone = await connectAs(serverModule.url, 'devices-alice-5', createKeyPair(), { deviceId: 'phone' });
+    const tablet = await connectDevice(phone, 'tablet');
+    const closed = closeCode(tablet);
+
+    phone.send('device_revoke', { deviceId: 'tablet' });
+    expect((await phone.next('device_revoked')).data.deviceId).toBe('tablet');
+    expect(await closed).toBe(4002);
+
+    expect((await listDevices(phone)).map(device => device.deviceId)).toEqual(['phone']);
+
+    // The revoked device's tokens no longer authenticate, over HTTP or WebSocket
+    await request(serverModule.app)
+      .get('/history')
+      .query({ peerId: 'devices-bob-5' })
+      .set('Authorization', `Bearer ${tablet.tokens.accessToken}`)
+      .expect(401);
+    await request(serverModule.app)
+      .get('/history')
+      .query({ peerId: 'devices-bob-5' })
+      .set('Authorization', `Bearer ${phone.tokens.accessToken}`)
+      .expect(200);
+
+    const retry = await new TestClient(serverModule.url).open();
+    const challenge = await retry.next('auth_challenge');
+    retry.send('auth', { sessionId: 'devices-alice-5', token: tablet.tokens.accessToken });
+    expect((await retry.next('auth_failed')).data.reason).toBe('device_revoked');
+
+    // Nor does a signed handshake claiming the revoked device id
+    retry.send('auth', {
+      sessionId: 'devices-alice-5',
+      publicKey: phone.keys.publicKey,
+      signature: signChallenge(phone.keys.privateKey, challenge.data.challenge),
+      deviceId: 'tablet'
+    });
+    expect((await retry.next('auth_failed')).data.reason).toBe('device_revoked');
+
+    // Nor does a session token from the HTTP API naming the revoked device id
+    const { body: httpChallenge } = await request(serverModule.app).get('/auth/challenge');
+    const { body: httpTokens } = await request(serverModule.app)
+      .post('/auth/token')
+      .send({
+        sessionId: 'devices-alice-5',
+        publicKey: phone.keys.publicKey,
+        challenge: httpChallenge.challenge,
+        signature: signChallenge(phone.keys.privateKey, httpChallenge.challenge)
+      });
+    retry.send('auth', { sessionId: 'devices-alice-5', token: httpTokens.accessToken, deviceId: 'tablet' });
+    expect((await retry.next('auth_failed')).data.reason).toBe('device_revoked');
+    expect((await listDevices(phone)).map(device => device.deviceId)).toEqual(['phone']);
+
+    phone.send('device_revoke', { deviceId: 'tablet' });
+    expect((await phone.next('error')).data.code).toBe('NOT_FOUND');
+
+    await retry.close();
+    await phone.close();
+  });
+
+  test('goes offline for contacts only when the last device disconnects', async () => {
+    const phone = await connectAs(serverModule.url, 'devices-alice-6', createKeyPair(), { deviceId: 'phone' });
+    const bob = await connectAs(serverModule.url, 'devices-bob-6');
+    await makeContacts(phone, bob);
+
+    const tablet = await connectDevice(phone, 'tablet');
+    expect(await bob.expectNone('contact_online')).toBe(true);
+
+    await phone.close();
+    expect(await bob.expectNone('contact_offline')).toBe(true);
+
+    await tablet.close();
+    expect((await bob.next('contact_offline')).data.sessionId).toBe('devices-alice-6');
+
+    await bob.close();
+  });
+});
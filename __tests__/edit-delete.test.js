@@ -0,0 +1,116 @@
+/**
+ * Message edit and delete tests
+ */
+
+const { startTestServer, connectAs } = require('./helpers/client');
+
+let serverModule;
+
+beforeAll(async () => {
+  process.env.DELETE_FOR_EVERYONE_WINDOW = '1000';
+  serverModule = await startTestServer();
+});
+
+afterAll(async () => {
+  await serverModule.stop();
+});
+
+async function pair(suffix) {
+  const alice = await connectAs(serverModule.url, `edit-alice-${suffix}`);
+  const bob = await connectAs(serverModule.url, `edit-bob-${suffix}`);
+  return { alice, bob };
+}
+
+async function send(from, to, id, content) {
+  from.send('message_send', { id, recipientId: to.sessionId, content });
+  await to.next('message_received', msg => msg.data.id === id);
+}
+
+async function historyOf(client, peer) {
+  client.send('history_request', { peerId: peer.sessionId });
+  return (await client.next('history_response')).data.messages;
+}
+
+describe('message_edit', () => {
+  test('updates the content, keeps the edit history and notifies the other party', async () => {
+    const { alice, bob } = await pair(1);
+    await send(alice, bob, 'edit-1', 'helo');
+
+    alice.send('message_edit', { messageId: 'edit-1', content: 'hello' });
+    const edited = await bob.next('message_edited');
+    expect(edited.data).toMatchObject({ messageId: 'edit-1', content: 'hello' });
+    expect(edited.data.editedAt).toBeDefined();
+
+    const [stored] = await historyOf(bob, alice);
+    expect(stored.content).toBe('hello');
+    expect(stored.editHistory).toEqual([{ content: 'helo', editedAt: stored.timestamp }]);
+
+    await Promise.all([alice.close(), bob.close()]);
+  });
+
+  test('only the original sender can edit', async () => {
+    const { alice, bob } = await pair(2);
+    await send(alice, bob, 'edit-2', 'mine');
+
+    bob.send('message_edit', { messageId: 'edit-2', content: 'yours now' });
+    expect((await bob.next('error')).data.code).toBe('FORBIDDEN');
+
+    bob.send('message_edit', { messageId: 'edit-missing', content: 'nothing' });
+    expect((await bob.next('error')).data.code).toBe('NOT_FOUND');
+
+    await Promise.all([alice.close(), bob.close()]);
+  });
+});
+
+describe('message_delete', () => {
+  test('delete for everyone leaves a tombstone and notifies the other party', async () => {
+    const { alice, bob } = await pair(3);
+    await send(alice, bob, 'delete-3', 'oops');
+
+    alice.send('message_delete', { messageId: 'delete-3', scope: 'everyone' });
+    const deleted = await bob.next('message_deleted');
+    expect(deleted.data).toMatchObject({ messageId: 'delete-3', scope: 'everyone' });
+
+    const [stored] = await historyOf(bob, alice);
+    expect(stored).toMatchObject({ id: 'delete-3', deleted: true, content: null });
+
+    alice.send('message_edit', { messageId: 'delete-3', content: 'back again' });
+    expect((await alice.next('error')).data.code).toBe('NOT_FOUND');
+
+    await Promise.all([alice.close(), bob.close()]);
+  });
+
+  test('delete for me only hides the message from the sender', async () => {
+    const { alice, bob } = await pair(4);
+    await send(alice, bob, 'delete-4', 'private regret');
+
+    alice.send('message_delete', { messageId: 'delete-4', scope: 'me' });
+    expect(await bob.expectNone('message_deleted')).toBe(true);
+
+    expect(await historyOf(alice, bob)).toEqual([]);
+    expect((await historyOf(bob, alice)).map(msg => msg.id)).toEqual(['delete-4']);
+
+    await Promise.all([alice.close(), bob.close()]);
+  });
+
+  test('delete for everyone is refused after the window', async () => {
+    const { alice, bob } = await pair(5);
+    await send(alice, bob, 'delete-5', 'old news');
+    await new Promise(resolve => setTimeout(resolve, 1100));
+
+    alice.send('message_delete', { messageId: 'delete-5', scope: 'everyone' });
+    expect((await alice.next('error')).data.code).toBe('FORBIDDEN');
+
+    await Promise.all([alice.close(), bob.close()]);
+  });
+
+  test('only the original sender can delete', async () => {
+    const { alice, bob } = await pair(6);
+    await send(alice, bob, 'delete-6', 'keep me');
+
+    bob.send('message_delete', { messageId: 'delete-6', scope: 'everyone' });
+    expect((await bob.next('error')).data.code).toBe('FORBIDDEN');
+
+    await Promise.all([alice.close(), bob.close()]);
+  });
+});
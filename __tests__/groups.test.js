@@ -0,0 +1,130 @@
+/**
+ * Group conversation tests
+ */
+
+const { startTestServer, connectAs } = require('./helpers/client');
+
+let serverModule;
+
+beforeAll(async () => {
+  serverModule = await startTestServer();
+});
+
+afterAll(async () => {
+  await serverModule.stop();
+});
+
+async function createGroup(owner, id, memberIds, members) {
+  owner.send('group_create', { id, name: `Group ${id}`, memberIds });
+  await owner.next('group_updated', msg => msg.data.id === id);
+  for (const member of members) {
+    await member.next('group_updated', msg => msg.data.id === id);
+    await member.next('message_received', msg => msg.data.metadata && msg.data.metadata.event === 'group_created');
+  }
+  await owner.next('message_received', msg => msg.data.metadata && msg.data.metadata.event === 'group_created');
+}
+
+describe('groups', () => {
+  test('fans out group messages to every other member', async () => {
+    const owner = await connectAs(serverModule.url, 'group-owner-1');
+    const bob = await connectAs(serverModule.url, 'group-bob-1');
+    const carol = await connectAs(serverModule.url, 'group-carol-1');
+    await createGroup(owner, 'g1', ['group-bob-1', 'group-carol-1'], [bob, carol]);
+
+    bob.send('message_send', { id: 'gm-1', groupId: 'g1', content: 'Hi all' });
+
+    expect((await owner.next('message_received')).data).toMatchObject({ groupId: 'g1', senderId: 'group-bob-1' });
+    expect((await carol.next('message_received')).data.content).toBe('Hi all');
+    expect(await bob.expectNone('message_received')).toBe(true);
+
+    await Promise.all([owner.close(), bob.close(), carol.close()]);
+  });
+
+  test('rejects messages from non-members', async () => {
+    const owner = await connectAs(serverModule.url, 'group-owner-2');
+    const outsider = await connectAs(serverModule.url, 'group-outsider-2');
+    await createGroup(owner, 'g2', [], []);
+
+    outsider.send('message_send', { id: 'gm-2', groupId: 'g2', content: 'Let me in' });
+    expect((await outsider.next('error')).data.code).toBe('FORBIDDEN');
+
+    await Promise.all([owner.close(), outsider.close()]);
+  });
+
+  test('enforces roles when adding and removing members', async () => {
+    const owner = await connectAs(serverModule.url, 'group-owner-3');
+    const bob = await connectAs(serverModule.url, 'group-bob-3');
+    const carol = await connectAs(serverModule.url, 'group-carol-3');
+    await createGroup(owner, 'g3', ['group-bob-3'], [bob]);
+
+    bob.send('group_add_member', { groupId: 'g3', memberId: 'group-carol-3' });
+    expect((await bob.next('error')).data.code).toBe('FORBIDDEN');
+
+    owner.send('group_set_role', { groupId: 'g3', memberId: 'group-bob-3', role: 'admin' });
+    await bob.next('message_received', msg => msg.data.metadata.event === 'role_changed');
+
+    bob.send('group_add_member', { groupId: 'g3', memberId: 'group-carol-3' });
+    const added = await carol.next('message_received', msg => msg.data.metadata.event === 'member_added');
+    expect(added.data).toMatchObject({ messageType: 'system', groupId: 'g3' });
+    expect((await carol.next('group_updated')).data.members['group-carol-3'].role).toBe('member');
+
+    bob.send('group_remove_member', { groupId: 'g3', memberId: 'group-owner-3' });
+    expect((await bob.next('error')).data.code).toBe('FORBIDDEN');
+
+    owner.send('group_remove_member', { groupId: 'g3', memberId: 'group-carol-3' });
+    const removed = await carol.next('message_received', msg => msg.data.metadata.event === 'member_removed');
+    expect(removed.data.metadata.memberId).toBe('group-carol-3');
+
+    // Removed members no longer receive group traffic
+    bob.send('message_send', { id: 'gm-3', groupId: 'g3', content: 'Carol is gone' });
+    await owner.next('message_received', msg => msg.data.id === 'gm-3');
+    expect(await carol.expectNone('message_received', msg => msg.data.id === 'gm-3')).toBe(true);
+
+    await Promise.all([owner.close(), bob.close(), carol.close()]);
+  });
+
+  test('members can leave but the owner must transfer ownership first', async () => {
+    const owner = await connectAs(serverModule.url, 'group-owner-4');
+    const bob = await connectAs(serverModule.url, 'group-bob-4');
+    await createGroup(owner, 'g4', ['group-bob-4'], [bob]);
+
+    owner.send('group_remove_member', { groupId: 'g4', memberId: 'group-owner-4' });
+    expect((await owner.next('error')).data.code).toBe('FORBIDDEN');
+
+    owner.send('group_set_role', { groupId: 'g4', memberId: 'group-bob-4', role: 'owner' });
+    const transferred = await bob.next('group_updated', msg => msg.data.members['group-bob-4'].role === 'owner');
+    expect(transferred.data.members['group-owner-4'].role).toBe('admin');
+
+    owner.send('group_remove_member', { groupId: 'g4', memberId: 'group-owner-4' });
+    const left = await bob.next('message_received', msg => msg.data.metadata && msg.data.metadata.event === 'member_left');
+    expect(left.data.metadata.memberId).toBe('group-owner-4');
+
+    await Promise.all([owner.close(), bob.close()]);
+  });
+
+  test('forwards group typing indicators and tracks per-member read state', async () => {
+    const owner = await connectAs(serverModule.url, 'group-owner-5');
+    const bob = await connectAs(serverModule.url, 'group-bob-5');
+    const carol = await connectAs(serverModule.url, 'group-carol-5');
+    await createGroup(owner, 'g5', ['group-bob-5', 'group-carol-5'], [bob, carol]);
+
+    owner.send('typing_indicator', { groupId: 'g5', isTyping: true });
+    expect((await bob.next('typing_indicator')).data).toMatchObject({ groupId: 'g5', sessionId: 'group-owner-5' });
+    await carol.next('typing_indicator');
+
+    owner.send('message_send', { id: 'gm-5', groupId: 'g5', content: 'Read me' });
+    await bob.next('message_received', msg => msg.data.id === 'gm-5');
+    await carol.next('message_received', msg => msg.data.id === 'gm-5');
+
+    bob.send('message_read', { messageId: 'gm-5' });
+    const readState = await owner.next('group_read_state');
+    expect(readState.data).toMatchObject({ groupId: 'g5', sessionId: 'group-bob-5', messageId: 'gm-5' });
+
+    carol.send('group_info', { groupId: 'g5' });
+    const info = await carol.next('group_info');
+    expect(info.data.readState['group-bob-5'].messageId).toBe('gm-5');
+    expect(info.data.readState['group-carol-5']).toBeUndefined();
+
+    await Promise.all([owner.close(), bob.close(), carol.close()]);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Heartbeat liveness tests
+ */
+
+const { startTestServer, connectAs, makeContacts, TestClient, createKeyPair, signChallenge } = require('./helpers/client');
+
+let serverModule;
+
+beforeAll(async () => {
+  process.env.HEARTBEAT_INTERVAL = '100';
+  process.env.HEARTBEAT_MAX_MISSED = '3';
+  serverModule = await startTestServer();
+});
+
+afterAll(async () => {
+  delete process.env.HEARTBEAT_INTERVAL;
+  delete process.env.HEARTBEAT_MAX_MISSED;
+  await serverModule.stop();
+});
+
+// A client whose ws library does not answer pings, like a connection that went half-open
+async function connectUnresponsive(sessionId) {
+  const keys = createKeyPair();
+  const client = await new TestClient(serverModule.url, { autoPong: false }).open();
+  const challenge = await client.next('auth_challenge');
+
+  client.keys = keys;
+  client.sessionId = sessionId;
+  client.send('auth', {
+    sessionId,
+    publicKey: keys.publicKey,
+    signature: signChallenge(keys.privateKey, challenge.data.challenge)
+  });
+  await client.next('auth_success');
+  return client;
+}
+
+describe('heartbeat', () => {
+  test('advertises the heartbeat interval at connect and in hello_ack', async () => {
+    const client = await new TestClient(serverModule.url).open();
+    expect((await client.next('auth_challenge')).data.heartbeatInterval).toBe(100);
+
+    client.send('hello', { version: 2 });
+    expect((await client.next('hello_ack')).data.heartbeatInterval).toBe(100);
+
+    await client.close();
+  });
+
+  test('keeps connections that answer pings', async () => {
+    const alice = await connectAs(serverModule.url, 'heartbeat-alice-1');
+    let pings = 0;
+    alice.ws.on('ping', () => pings++);
+
+    await new Promise(resolve => setTimeout(resolve, 600));
+
+    expect(pings).toBeGreaterThanOrEqual(4);
+    expect(alice.ws.readyState).toBe(alice.ws.OPEN);
+    expect(await alice.expectNone('pong')).toBe(true);
+
+    await alice.close();
+  });
+
+  test('terminates a connection that misses heartbeats and tells its contacts', async () => {
+    const alice = await connectUnresponsive('heartbeat-alice-2');
+    const bob = await connectAs(serverModule.url, 'heartbeat-bob-2');
+    await makeContacts(alice, bob);
+    const closed = new Promise(resolve => alice.ws.once('close', code => resolve(code)));
+
+    expect((await bob.next('contact_offline', () => true, 2000)).data.sessionId).toBe('heartbeat-alice-2');
+    expect(await closed).toBe(1006);
+    expect(await serverModule.cluster.locateSession('heartbeat-alice-2')).toEqual([]);
+
+    await bob.close();
+  });
+});
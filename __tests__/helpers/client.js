@@ -0,0 +1,140 @@
+/**
+ * Test helpers for driving the Session Messenger Server over real WebSocket connections
+ */
+
+const WebSocket = require('ws');
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+
+// Keep test runs out of the real log file and quiet on the console
+function startTestServer() {
+  process.env.LOG_FILE = path.join(os.tmpdir(), `session-messenger-test-${process.pid}.log`);
+  // Plain assignment so restoreMocks between tests doesn't bring the output back
+  console.log = () => {};
+
+  const serverModule = require('../../server');
+  return serverModule.start(0).then(server => {
+    serverModule.url = `ws://localhost:${server.address().port}`;
+    return serverModule;
+  });
+}
+
+function createKeyPair() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  // Strip the 12-byte SPKI header to get the raw 32-byte key
+  const rawPublicKey = publicKey.export({ format: 'der', type: 'spki' }).subarray(12);
+  return { publicKey: rawPublicKey.toString('hex'), privateKey };
+}
+
+function signChallenge(privateKey, challenge) {
+  return crypto.sign(null, Buffer.from(challenge, 'hex'), privateKey).toString('hex');
+}
+
+class TestClient {
+  constructor(url, options = {}) {
+    this.url = url;
+    this.options = options; // passed through to the ws client
+    this.received = [];
+    this.waiters = [];
+  }
+
+  open() {
+    return new Promise((resolve, reject) => {
+      this.ws = new WebSocket(this.url, this.options);
+      this.ws.on('message', (raw) => {
+        const message = JSON.parse(raw);
+        const waiterIndex = this.waiters.findIndex(waiter => waiter.matches(message));
+        if (waiterIndex !== -1) {
+          const [waiter] = this.waiters.splice(waiterIndex, 1);
+          clearTimeout(waiter.timer);
+          waiter.resolve(message);
+        } else {
+          this.received.push(message);
+        }
+      });
+      this.ws.once('open', () => resolve(this));
+      this.ws.once('error', reject);
+    });
+  }
+
+  send(type, data, extra = {}) {
+    this.ws.send(JSON.stringify({ type, data, ...extra }));
+  }
+
+  // Resolve with the next message of the given type (or matching predicate)
+  next(type, predicate = () => true, timeout = 2000) {
+    const matches = message => message.type === type && predicate(message);
+    const index = this.received.findIndex(matches);
+    if (index !== -1) {
+      return Promise.resolve(this.received.splice(index, 1)[0]);
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { matches, resolve };
+      waiter.timer = setTimeout(() => {
+        this.waiters.splice(this.waiters.indexOf(waiter), 1);
+        reject(new Error(`Timed out waiting for ${type}`));
+      }, timeout);
+      this.waiters.push(waiter);
+    });
+  }
+
+  // Resolve with true if no message of the given type arrives within the window
+  async expectNone(type, predicate = () => true, timeout = 200) {
+    try {
+      await this.next(type, predicate, timeout);
+      return false;
+    } catch (error) {
+      return true;
+    }
+  }
+
+  close() {
+    if (this.ws.readyState === WebSocket.CLOSED) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => {
+      this.ws.once('close', resolve);
+      this.ws.close();
+    });
+  }
+}
+
+// Open a connection and complete the signed challenge handshake
+async function connectAs(url, sessionId, keys = createKeyPair(), authData = {}) {
+  const client = await new TestClient(url).open();
+  const challenge = await client.next('auth_challenge');
+
+  client.keys = keys;
+  client.sessionId = sessionId;
+  client.send('auth', {
+    sessionId,
+    publicKey: keys.publicKey,
+    signature: signChallenge(keys.privateKey, challenge.data.challenge),
+    ...authData
+  });
+
+  client.tokens = (await client.next('auth_success')).data;
+  return client;
+}
+
+// Make two connected clients contacts through an accepted invitation
+async function makeContacts(sender, recipient) {
+  const invitationId = `invite-${sender.sessionId}-${recipient.sessionId}`;
+  sender.send('invitation_send', { id: invitationId, recipientId: recipient.sessionId });
+  await recipient.next('invitation_received');
+  recipient.send('invitation_accept', { invitationId });
+  await sender.next('contact_added');
+  await recipient.next('contact_added');
+  await sender.next('invitation_response');
+}
+
+module.exports = {
+  startTestServer,
+  createKeyPair,
+  signChallenge,
+  TestClient,
+  connectAs,
+  makeContacts
+};
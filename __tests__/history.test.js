@@ -0,0 +1,117 @@
+/**
+ * Conversation history sync tests
+ */
+
+const request = require('supertest');
+const { startTestServer, connectAs } = require('./helpers/client');
+
+let serverModule;
+let alice;
+let bob;
+
+beforeAll(async () => {
+  serverModule = await startTestServer();
+  alice = await connectAs(serverModule.url, 'history-alice');
+  bob = await connectAs(serverModule.url, 'history-bob');
+
+  for (let i = 1; i <= 5; i++) {
+    alice.send('message_send', { id: `h${i}`, recipientId: 'history-bob', content: `message ${i}` });
+    await bob.next('message_received');
+  }
+});
+
+afterAll(async () => {
+  await alice.close();
+  await bob.close();
+  await serverModule.stop();
+});
+
+const ids = response => response.data.messages.map(msg => msg.id);
+
+describe('history_request', () => {
+  test('returns the latest page with cursors', async () => {
+    bob.send('history_request', { peerId: 'history-alice', limit: 2 });
+    const response = await bob.next('history_response');
+
+    expect(ids(response)).toEqual(['h4', 'h5']);
+    expect(response.data.hasMore).toBe(true);
+    expect(response.data.cursors).toEqual({ before: 'h4', after: 'h5' });
+  });
+
+  test('pages backwards with the before cursor', async () => {
+    bob.send('history_request', { peerId: 'history-alice', before: 'h4', limit: 10 });
+    const response = await bob.next('history_response');
+
+    expect(ids(response)).toEqual(['h1', 'h2', 'h3']);
+    expect(response.data.hasMore).toBe(false);
+  });
+
+  test('catches up with the after cursor', async () => {
+    alice.send('history_request', { peerId: 'history-bob', after: 'h2', limit: 2 });
+    const response = await alice.next('history_response');
+
+    expect(ids(response)).toEqual(['h3', 'h4']);
+    expect(response.data.hasMore).toBe(true);
+  });
+
+  test('only sees conversations the session takes part in', async () => {
+    const mallory = await connectAs(serverModule.url, 'history-mallory');
+
+    // A peerId only ever resolves to the caller's own conversation with that peer
+    mallory.send('history_request', { peerId: 'history-alice' });
+    expect(ids(await mallory.next('history_response'))).toEqual([]);
+
+    mallory.send('history_request', { peerId: 'history-alice', before: 'h3' });
+    expect((await mallory.next('error')).data.code).toBe('NOT_FOUND');
+
+    await mallory.close();
+  });
+
+  test('requires exactly one of peerId or groupId', async () => {
+    bob.send('history_request', {});
+    expect((await bob.next('error')).data.code).toBe('VALIDATION');
+  });
+
+  test('returns group history to members only', async () => {
+    const outsider = await connectAs(serverModule.url, 'history-outsider');
+    alice.send('group_create', { id: 'history-group', name: 'History', memberIds: ['history-bob'] });
+    await bob.next('message_received', msg => msg.data.groupId === 'history-group');
+
+    bob.send('history_request', { groupId: 'history-group' });
+    const response = await bob.next('history_response');
+    expect(response.data.messages[0].metadata.event).toBe('group_created');
+
+    outsider.send('history_request', { groupId: 'history-group' });
+    expect((await outsider.next('error')).data.code).toBe('FORBIDDEN');
+
+    await outsider.close();
+  });
+});
+
+describe('GET /history', () => {
+  test('returns a page for the session in the access token', async () => {
+    const response = await request(serverModule.app)
+      .get('/history')
+      .query({ peerId: 'history-alice', before: 'h3', limit: 1 })
+      .set('Authorization', `Bearer ${bob.tokens.accessToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.messages.map(msg => msg.id)).toEqual(['h2']);
+    expect(response.body.cursors.before).toBe('h2');
+  });
+
+  test('requires a session access token', async () => {
+    const response = await request(serverModule.app).get('/history').query({ peerId: 'history-alice' });
+    expect(response.status).toBe(401);
+  });
+
+  test('maps errors to HTTP status codes', async () => {
+    const response = await request(serverModule.app)
+      .get('/history')
+      .query({ groupId: 'history-missing' })
+      .set('Authorization', `Bearer ${bob.tokens.accessToken}`);
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('FORBIDDEN');
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Invitation lifecycle tests: cancel, resend, list, offline delivery and purging
+ */
+
+const { startTestServer, connectAs } = require('./helpers/client');
+
+let serverModule;
+
+beforeAll(async () => {
+  process.env.INVITATION_EXPIRY = '800';
+  process.env.INVITATION_SWEEP_INTERVAL = '100';
+  process.env.INVITATION_RETENTION = '300';
+  process.env.INVITATION_RESEND_INTERVAL = '200';
+  serverModule = await startTestServer();
+});
+
+afterAll(async () => {
+  delete process.env.INVITATION_EXPIRY;
+  delete process.env.INVITATION_SWEEP_INTERVAL;
+  delete process.env.INVITATION_RETENTION;
+  delete process.env.INVITATION_RESEND_INTERVAL;
+  await serverModule.stop();
+});
+
+function invite(sender, id, recipientId) {
+  sender.send('invitation_send', { id, recipientId }, { requestId: id });
+  return sender.next('ack', msg => msg.requestId === id);
+}
+
+async function listInvitations(client) {
+  client.send('invitations_list');
+  return (await client.next('invitations')).data;
+}
+
+describe('invitation lifecycle', () => {
+  test('lets the sender cancel a pending invitation', async () => {
+    const alice = await connectAs(serverModule.url, 'lifecycle-alice-1');
+    const bob = await connectAs(serverModule.url, 'lifecycle-bob-1');
+
+    await invite(alice, 'cancel-1', 'lifecycle-bob-1');
+    await bob.next('invitation_received');
+
+    bob.send('invitation_cancel', { invitationId: 'cancel-1' });
+    expect((await bob.next('error')).data.code).toBe('FORBIDDEN');
+
+    alice.send('invitation_cancel', { invitationId: 'cancel-1' });
+    expect((await bob.next('invitation_response')).data).toMatchObject({ id: 'cancel-1', status: 'cancelled' });
+    expect((await alice.next('invitation_response')).data.status).toBe('cancelled');
+
+    bob.send('invitation_accept', { invitationId: 'cancel-1' });
+    expect((await bob.next('error')).data).toMatchObject({ code: 'CONFLICT', status: 'cancelled' });
+
+    alice.send('invitation_cancel', { invitationId: 'cancel-1' });
+    expect((await alice.next('error')).data.code).toBe('CONFLICT');
+
+    await alice.close();
+    await bob.close();
+  });
+
+  test('delivers invitations and cancellations that arrived while the recipient was offline', async () => {
+    const alice = await connectAs(serverModule.url, 'lifecycle-alice-2');
+
+    await invite(alice, 'offline-2a', 'lifecycle-bob-2');
+    alice.send('invitation_cancel', { invitationId: 'offline-2a' });
+    await alice.next('invitation_response');
+    await invite(alice, 'offline-2b', 'lifecycle-bob-2');
+
+    const bob = await connectAs(serverModule.url, 'lifecycle-bob-2');
+    expect((await bob.next('invitation_received')).data.id).toBe('offline-2a');
+    expect((await bob.next('invitation_response')).data).toMatchObject({ id: 'offline-2a', status: 'cancelled' });
+    expect((await bob.next('invitation_received')).data.id).toBe('offline-2b');
+
+    await alice.close();
+    await bob.close();
+  });
+
+  test('lists pending incoming and outgoing invitations', async () => {
+    const alice = await connectAs(serverModule.url, 'lifecycle-alice-3');
+    const bob = await connectAs(serverModule.url, 'lifecycle-bob-3');
+    const carol = await connectAs(serverModule.url, 'lifecycle-carol-3');
+
+    await invite(alice, 'list-3a', 'lifecycle-bob-3');
+    await invite(carol, 'list-3b', 'lifecycle-alice-3');
+
+    let invitations = await listInvitations(alice);
+    expect(invitations.outgoing.map(invitation => invitation.id)).toEqual(['list-3a']);
+    expect(invitations.incoming.map(invitation => invitation.id)).toEqual(['list-3b']);
+
+    bob.send('invitation_decline', { invitationId: 'list-3a' });
+    await alice.next('invitation_response');
+
+    invitations = await listInvitations(alice);
+    expect(invitations.outgoing).toEqual([]);
+    expect((await listInvitations(bob)).incoming).toEqual([]);
+
+    await alice.close();
+    await bob.close();
+    await carol.close();
+  });
+
+  test('resends pending and expired invitations but not answered ones', async () => {
+    const alice = await connectAs(serverModule.url, 'lifecycle-alice-4');
+    const bob = await connectAs(serverModule.url, 'lifecycle-bob-4');
+
+    await invite(alice, 'resend-4a', 'lifecycle-bob-4');
+    const first = await bob.next('invitation_received');
+
+    // Too soon after the first send
+    alice.send('invitation_resend', { invitationId: 'resend-4a' });
+    const refused = await alice.next('error');
+    expect(refused.data.code).toBe('RATE_LIMITED');
+    expect(refused.data.retryAfter).toBeGreaterThan(0);
+    expect(await bob.expectNone('invitation_received')).toBe(true);
+
+    await new Promise(resolve => setTimeout(resolve, 200));
+    alice.send('invitation_resend', { invitationId: 'resend-4a' });
+    const again = await bob.next('invitation_received');
+    expect(again.data.id).toBe('resend-4a');
+    expect(new Date(again.data.expiresAt).getTime()).toBeGreaterThanOrEqual(new Date(first.data.expiresAt).getTime());
+
+    // Let it expire, then reopen it
+    expect((await bob.next('invitation_response', () => true, 2000)).data.status).toBe('expired');
+    alice.send('invitation_resend', { invitationId: 'resend-4a' });
+    expect((await bob.next('invitation_received')).data).toMatchObject({ id: 'resend-4a', status: 'pending' });
+
+    bob.send('invitation_decline', { invitationId: 'resend-4a' });
+    await alice.next('invitation_response', msg => msg.data.status === 'declined');
+    alice.send('invitation_resend', { invitationId: 'resend-4a' });
+    expect((await alice.next('error')).data).toMatchObject({ code: 'CONFLICT', status: 'declined' });
+
+    await alice.close();
+    await bob.close();
+  });
+
+  test('purges closed invitations after the retention period', async () => {
+    const alice = await connectAs(serverModule.url, 'lifecycle-alice-5');
+    const bob = await connectAs(serverModule.url, 'lifecycle-bob-5');
+
+    await invite(alice, 'purge-5a', 'lifecycle-bob-5');
+    await invite(alice, 'purge-5b', 'lifecycle-carol-5');
+    await bob.next('invitation_received');
+    bob.send('invitation_accept', { invitationId: 'purge-5a' });
+    await alice.next('invitation_response');
+
+    // The expired one lingers for the retention period, the accepted one is never marked expired
+    await new Promise(resolve => setTimeout(resolve, 1500));
+
+    expect(await serverModule.storage.getInvitation('purge-5a')).toBeNull();
+    expect(await serverModule.storage.getInvitation('purge-5b')).toBeNull();
+    expect(await serverModule.storage.listSessionInvitations('lifecycle-alice-5')).toEqual([]);
+    expect(await alice.expectNone('invitation_response', msg => msg.data.id === 'purge-5a')).toBe(true);
+
+    await alice.close();
+    await bob.close();
+  });
+});
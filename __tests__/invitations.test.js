@@ -0,0 +1,145 @@
+/**
+ * Invitation anti-abuse tests
+ */
+
+const { startTestServer, connectAs } = require('./helpers/client');
+
+let serverModule;
+
+beforeAll(async () => {
+  process.env.MAX_PENDING_INVITATIONS = '2';
+  process.env.INVITATION_DECLINE_COOLDOWN = '500';
+  serverModule = await startTestServer();
+});
+
+afterAll(async () => {
+  await serverModule.stop();
+});
+
+function invite(sender, id, recipientId) {
+  sender.send('invitation_send', { id, recipientId, message: 'Connect?' }, { requestId: id });
+}
+
+// Resolve with the error for a refused invitation, or null once it was acked
+async function outcome(sender, id) {
+  const reply = await Promise.race([
+    sender.next('ack', msg => msg.requestId === id),
+    sender.next('error', msg => msg.requestId === id)
+  ]);
+  return reply.type === 'error' ? reply.data : null;
+}
+
+describe('invitation rules', () => {
+  test('refuses a second pending invitation to the same person', async () => {
+    const alice = await connectAs(serverModule.url, 'invites-alice-1');
+    const bob = await connectAs(serverModule.url, 'invites-bob-1');
+
+    invite(alice, 'dup-1', 'invites-bob-1');
+    expect(await outcome(alice, 'dup-1')).toBeNull();
+    await bob.next('invitation_received');
+
+    invite(alice, 'dup-2', 'invites-bob-1');
+    expect(await outcome(alice, 'dup-2')).toMatchObject({ code: 'CONFLICT', invitationId: 'dup-1' });
+    expect(await bob.expectNone('invitation_received')).toBe(true);
+
+    await alice.close();
+    await bob.close();
+  });
+
+  test('refuses reused invitation ids and self invitations', async () => {
+    const alice = await connectAs(serverModule.url, 'invites-alice-2');
+    const mallory = await connectAs(serverModule.url, 'invites-mallory-2');
+
+    invite(alice, 'taken-id', 'invites-bob-2');
+    expect(await outcome(alice, 'taken-id')).toBeNull();
+
+    invite(mallory, 'taken-id', 'invites-bob-2');
+    expect((await outcome(mallory, 'taken-id')).code).toBe('CONFLICT');
+    expect((await serverModule.storage.getInvitation('taken-id')).senderId).toBe('invites-alice-2');
+
+    invite(alice, 'self', 'invites-alice-2');
+    expect((await outcome(alice, 'self')).code).toBe('VALIDATION');
+
+    await alice.close();
+    await mallory.close();
+  });
+
+  test('caps outstanding invitations per sender', async () => {
+    const alice = await connectAs(serverModule.url, 'invites-alice-3');
+    const bob = await connectAs(serverModule.url, 'invites-bob-3');
+
+    invite(alice, 'cap-1', 'invites-bob-3');
+    invite(alice, 'cap-2', 'invites-carol-3');
+    invite(alice, 'cap-3', 'invites-dave-3');
+    expect(await outcome(alice, 'cap-1')).toBeNull();
+    expect(await outcome(alice, 'cap-2')).toBeNull();
+    expect((await outcome(alice, 'cap-3')).code).toBe('RATE_LIMITED');
+
+    // Once an invitation is answered it no longer counts
+    await bob.next('invitation_received');
+    bob.send('invitation_accept', { invitationId: 'cap-1' });
+    await alice.next('invitation_response');
+
+    invite(alice, 'cap-4', 'invites-dave-3');
+    expect(await outcome(alice, 'cap-4')).toBeNull();
+
+    await alice.close();
+    await bob.close();
+  });
+
+  test('makes the sender wait after a decline', async () => {
+    const alice = await connectAs(serverModule.url, 'invites-alice-4');
+    const bob = await connectAs(serverModule.url, 'invites-bob-4');
+
+    invite(alice, 'cool-1', 'invites-bob-4');
+    await bob.next('invitation_received');
+    bob.send('invitation_decline', { invitationId: 'cool-1' });
+    await alice.next('invitation_response');
+
+    invite(alice, 'cool-2', 'invites-bob-4');
+    const refusal = await outcome(alice, 'cool-2');
+    expect(refusal.code).toBe('RATE_LIMITED');
+    expect(refusal.retryAfter).toBeGreaterThan(0);
+    expect(refusal.retryAfter).toBeLessThanOrEqual(500);
+
+    await new Promise(resolve => setTimeout(resolve, 550));
+    invite(alice, 'cool-3', 'invites-bob-4');
+    expect(await outcome(alice, 'cool-3')).toBeNull();
+
+    await alice.close();
+    await bob.close();
+  });
+
+  test('lets recipients only take invitations from people sharing a contact', async () => {
+    const carol = await connectAs(serverModule.url, 'invites-carol-5');
+    const alice = await connectAs(serverModule.url, 'invites-alice-5');
+    const dave = await connectAs(serverModule.url, 'invites-dave-5');
+
+    // Dave is already one of Carol's contacts
+    invite(dave, 'shared-1', 'invites-carol-5');
+    await carol.next('invitation_received');
+    carol.send('invitation_accept', { invitationId: 'shared-1' });
+    await dave.next('invitation_response');
+
+    carol.send('settings_update', { invitationsFromSharedContactsOnly: true });
+    await carol.next('settings');
+
+    invite(alice, 'shared-2', 'invites-carol-5');
+    expect((await outcome(alice, 'shared-2')).code).toBe('FORBIDDEN');
+    expect(await carol.expectNone('invitation_received')).toBe(true);
+
+    // Once Alice and Dave are contacts, Alice shares a contact with Carol
+    invite(dave, 'shared-3', 'invites-alice-5');
+    await alice.next('invitation_received');
+    alice.send('invitation_accept', { invitationId: 'shared-3' });
+    await dave.next('invitation_response');
+
+    invite(alice, 'shared-4', 'invites-carol-5');
+    expect(await outcome(alice, 'shared-4')).toBeNull();
+    await carol.next('invitation_received');
+
+    await carol.close();
+    await alice.close();
+    await dave.close();
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Message lookup benchmark: finding a message by id should not slow down
+ * as the total number of stored messages grows
+ */
+
+const { createMemoryStorage } = require('../storage');
+
+async function fillStorage(conversations, messagesPerConversation) {
+  const storage = createMemoryStorage();
+  const ids = [];
+  for (let c = 0; c < conversations; c++) {
+    for (let m = 0; m < messagesPerConversation; m++) {
+      const id = `msg-${c}-${m}`;
+      await storage.saveMessage(`conv-${c}`, { id, content: 'x' });
+      ids.push(id);
+    }
+  }
+  return { storage, ids };
+}
+
+// Average nanoseconds per lookup, always looking up the most recently stored messages
+async function timeLookups(storage, ids, lookups) {
+  const targets = ids.slice(-100);
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < lookups; i++) {
+    await storage.findMessage(targets[i % targets.length]);
+  }
+  return Number(process.hrtime.bigint() - start) / lookups;
+}
+
+describe('message index', () => {
+  test('lookup cost does not grow with total message count', async () => {
+    const small = await fillStorage(1, 100);
+    const large = await fillStorage(200, 250);
+
+    // Best of several rounds so a GC pause or scheduler hiccup doesn't skew either side
+    let smallCost = Infinity;
+    let largeCost = Infinity;
+    for (let round = 0; round < 5; round++) {
+      smallCost = Math.min(smallCost, await timeLookups(small.storage, small.ids, 5000));
+      largeCost = Math.min(largeCost, await timeLookups(large.storage, large.ids, 5000));
+    }
+
+    // A linear scan would be hundreds of times slower on the larger store
+    expect(largeCost / smallCost).toBeLessThan(20);
+  });
+
+  test('updates and pages through indexed messages', async () => {
+    const { storage } = await fillStorage(3, 5);
+
+    const found = await storage.findMessage('msg-1-3');
+    expect(found.conversationId).toBe('conv-1');
+
+    await storage.updateMessage('conv-1', { ...found.message, content: 'edited' });
+    expect((await storage.findMessage('msg-1-3')).message.content).toBe('edited');
+    expect((await storage.getConversation('conv-1'))[3].content).toBe('edited');
+
+    // Cursors from another conversation are unknown here
+    expect(await storage.getMessagesPage('conv-1', { before: 'msg-2-3', limit: 2 })).toBeNull();
+    const page = await storage.getMessagesPage('conv-1', { before: 'msg-1-3', limit: 2 });
+    expect(page.messages.map(msg => msg.id)).toEqual(['msg-1-1', 'msg-1-2']);
+  });
+
+  test('keeps the first message when another conversation reuses its id', async () => {
+    const storage = createMemoryStorage();
+    await storage.saveMessage('alice-bob', { id: 'm1', senderId: 'alice', content: 'hi bob' });
+    expect(await storage.saveMessage('mallory-carol', { id: 'm1', senderId: 'mallory', content: 'hi carol' })).toBe(false);
+
+    const found = await storage.findMessage('m1');
+    expect(found).toMatchObject({ conversationId: 'alice-bob', message: { senderId: 'alice' } });
+
+    // Updates through the index still land on the original message
+    await storage.updateMessage('alice-bob', { ...found.message, content: 'edited' });
+    expect((await storage.getConversation('alice-bob'))[0].content).toBe('edited');
+    expect(await storage.getConversation('mallory-carol')).toEqual([]);
+  });
+});
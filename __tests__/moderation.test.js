@@ -0,0 +1,186 @@
+/**
+ * Block and report tests
+ */
+
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const { startTestServer, createKeyPair, connectAs, makeContacts } = require('./helpers/client');
+
+let serverModule;
+
+beforeAll(async () => {
+  process.env.OPERATOR_USERNAME = 'moderator';
+  process.env.OPERATOR_PASSWORD_HASH = bcrypt.hashSync('review queue', 4);
+  serverModule = await startTestServer();
+});
+
+afterAll(async () => {
+  await serverModule.stop();
+});
+
+async function block(blocker, sessionId) {
+  blocker.send('user_block', { sessionId });
+  return (await blocker.next('block_list')).data.sessionIds;
+}
+
+describe('blocking', () => {
+  test('silently drops messages, typing and invitations from a blocked session', async () => {
+    const alice = await connectAs(serverModule.url, 'block-alice-1');
+    const mallory = await connectAs(serverModule.url, 'block-mallory-1');
+
+    expect(await block(alice, 'block-mallory-1')).toEqual(['block-mallory-1']);
+
+    mallory.send('message_send', { id: 'blocked-1', recipientId: 'block-alice-1', content: 'hey' }, { requestId: 'm' });
+    mallory.send('typing_indicator', { recipientId: 'block-alice-1', isTyping: true }, { requestId: 't' });
+    mallory.send('invitation_send', { id: 'blocked-invite', recipientId: 'block-alice-1' }, { requestId: 'i' });
+
+    // The sender cannot tell anything was dropped
+    expect((await mallory.next('ack', msg => msg.requestId === 'm')).data.type).toBe('message_send');
+    await mallory.next('ack', msg => msg.requestId === 't');
+    await mallory.next('ack', msg => msg.requestId === 'i');
+
+    expect(await alice.expectNone('message_received')).toBe(true);
+    expect(alice.received).toEqual([]);
+    expect(await serverModule.storage.findMessage('blocked-1')).toBeNull();
+    expect(await serverModule.storage.getInvitation('blocked-invite')).toBeNull();
+
+    alice.send('user_unblock', { sessionId: 'block-mallory-1' });
+    expect((await alice.next('block_list')).data.sessionIds).toEqual([]);
+
+    mallory.send('message_send', { id: 'unblocked-1', recipientId: 'block-alice-1', content: 'sorry' });
+    expect((await alice.next('message_received')).data.id).toBe('unblocked-1');
+
+    await alice.close();
+    await mallory.close();
+  });
+
+  test('hides presence in both directions', async () => {
+    const aliceKeys = createKeyPair();
+    const alice = await connectAs(serverModule.url, 'block-alice-2', aliceKeys);
+    const bob = await connectAs(serverModule.url, 'block-bob-2');
+    const carol = await connectAs(serverModule.url, 'block-carol-2');
+
+    await makeContacts(alice, bob);
+    await makeContacts(alice, carol);
+
+    await block(bob, 'block-alice-2');
+    await alice.close();
+    expect((await carol.next('contact_offline')).data.sessionId).toBe('block-alice-2');
+    expect(await bob.expectNone('contact_offline')).toBe(true);
+
+    const aliceAgain = await connectAs(serverModule.url, 'block-alice-2', aliceKeys);
+    expect((await carol.next('contact_online')).data.sessionId).toBe('block-alice-2');
+    expect(await bob.expectNone('contact_online')).toBe(true);
+
+    await bob.close();
+    expect(await aliceAgain.expectNone('contact_offline', msg => msg.data.sessionId === 'block-bob-2')).toBe(true);
+
+    await aliceAgain.close();
+    await carol.close();
+  });
+
+  test('skips group members who blocked the sender', async () => {
+    const owner = await connectAs(serverModule.url, 'block-owner-3');
+    const alice = await connectAs(serverModule.url, 'block-alice-3');
+    const mallory = await connectAs(serverModule.url, 'block-mallory-3');
+
+    owner.send('group_create', { id: 'block-group', name: 'Mixed', memberIds: ['block-alice-3', 'block-mallory-3'] });
+    await alice.next('group_updated');
+    await mallory.next('group_updated');
+    await block(alice, 'block-mallory-3');
+
+    mallory.send('typing_indicator', { groupId: 'block-group', isTyping: true });
+    mallory.send('message_send', { id: 'group-blocked-1', groupId: 'block-group', content: 'hello all' });
+
+    expect((await owner.next('typing_indicator')).data.sessionId).toBe('block-mallory-3');
+    expect((await owner.next('message_received', msg => msg.data.id === 'group-blocked-1'))).toBeDefined();
+    expect(await alice.expectNone('typing_indicator')).toBe(true);
+    expect(await alice.expectNone('message_received', msg => msg.data.id === 'group-blocked-1')).toBe(true);
+
+    await owner.close();
+    await alice.close();
+    await mallory.close();
+  });
+
+  test('hides edits, deletions and reactions from a blocked session', async () => {
+    const alice = await connectAs(serverModule.url, 'block-alice-5');
+    const mallory = await connectAs(serverModule.url, 'block-mallory-5');
+
+    mallory.send('message_send', { id: 'before-block-5', recipientId: 'block-alice-5', content: 'hi' });
+    await alice.next('message_received');
+    alice.send('message_send', { id: 'alice-5', recipientId: 'block-mallory-5', content: 'hello' });
+    await mallory.next('message_received');
+    await block(alice, 'block-mallory-5');
+
+    mallory.send('message_edit', { messageId: 'before-block-5', content: 'edited' }, { requestId: 'e' });
+    mallory.send('reaction_add', { messageId: 'alice-5', emoji: '👍' }, { requestId: 'r' });
+    mallory.send('message_delete', { messageId: 'before-block-5', scope: 'everyone' }, { requestId: 'd' });
+    await mallory.next('ack', msg => msg.requestId === 'd');
+
+    expect(await alice.expectNone('message_edited')).toBe(true);
+    expect(await alice.expectNone('reaction_updated')).toBe(true);
+    expect(await alice.expectNone('message_deleted')).toBe(true);
+
+    // A blocked sender cannot probe which message ids are taken
+    mallory.send('message_send', { id: 'alice-5', recipientId: 'block-alice-5', content: 'probe' }, { requestId: 'p' });
+    expect((await mallory.next('ack', msg => msg.requestId === 'p')).data.type).toBe('message_send');
+
+    await alice.close();
+    await mallory.close();
+  });
+
+  test('cannot block yourself', async () => {
+    const alice = await connectAs(serverModule.url, 'block-alice-4');
+
+    alice.send('user_block', { sessionId: 'block-alice-4' });
+    expect((await alice.next('error')).data.code).toBe('VALIDATION');
+
+    await alice.close();
+  });
+});
+
+describe('reporting', () => {
+  test('records recent messages from the reported session for moderators', async () => {
+    const alice = await connectAs(serverModule.url, 'report-alice-1');
+    const mallory = await connectAs(serverModule.url, 'report-mallory-1');
+
+    mallory.send('message_send', { id: 'abuse-1', recipientId: 'report-alice-1', content: 'buy now' });
+    alice.send('message_send', { id: 'reply-1', recipientId: 'report-mallory-1', content: 'stop' });
+    mallory.send('message_send', { id: 'abuse-2', recipientId: 'report-alice-1', content: 'buy now!!' });
+    await alice.next('message_received', msg => msg.data.id === 'abuse-2');
+
+    alice.send('user_report', { sessionId: 'report-mallory-1', reason: 'spam' });
+    const { reportId } = (await alice.next('report_submitted')).data;
+
+    const unauthorized = await request(serverModule.app).get('/reports');
+    expect(unauthorized.status).toBe(401);
+
+    const { body: tokens } = await request(serverModule.app)
+      .post('/auth/token')
+      .send({ username: 'moderator', password: 'review queue' });
+    const response = await request(serverModule.app)
+      .get('/reports')
+      .set('Authorization', `Bearer ${tokens.accessToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.reports[0]).toMatchObject({
+      id: reportId,
+      reporterId: 'report-alice-1',
+      reportedId: 'report-mallory-1',
+      reason: 'spam',
+      messageIds: ['abuse-1', 'abuse-2']
+    });
+
+    await alice.close();
+    await mallory.close();
+  });
+
+  test('only lets group members report from a group', async () => {
+    const alice = await connectAs(serverModule.url, 'report-alice-2');
+
+    alice.send('user_report', { sessionId: 'report-mallory-2', groupId: 'someone-elses-group' });
+    expect((await alice.next('error')).data.code).toBe('FORBIDDEN');
+
+    await alice.close();
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Protocol version and feature negotiation tests
+ */
+
+const { startTestServer, connectAs, TestClient } = require('./helpers/client');
+const { PROTOCOL_VERSION, LEGACY_SESSION, adaptMessage } = require('../protocol');
+
+let serverModule;
+
+beforeAll(async () => {
+  serverModule = await startTestServer();
+});
+
+afterAll(async () => {
+  await serverModule.stop();
+});
+
+async function hello(client, data) {
+  client.send('hello', data);
+  return client.next('hello_ack');
+}
+
+describe('hello', () => {
+  test('agrees on the lower version and the shared features', async () => {
+    const client = await new TestClient(serverModule.url).open();
+
+    const ack = await hello(client, { version: PROTOCOL_VERSION + 5, features: ['groups', 'holograms', 'compression'] });
+    expect(ack.data).toEqual({
+      version: PROTOCOL_VERSION,
+      features: ['groups'],
+      serverVersion: PROTOCOL_VERSION,
+      minVersion: 1,
+      heartbeatInterval: 30000
+    });
+
+    await client.close();
+  });
+
+  test('can negotiate before authenticating', async () => {
+    const client = await new TestClient(serverModule.url).open();
+    await hello(client, { version: 2, features: ['receipts'] });
+
+    const challenge = await client.next('auth_challenge');
+    expect(challenge.data.challenge).toBeDefined();
+
+    await client.close();
+  });
+});
+
+describe('feature gating', () => {
+  test('drops events for features the client did not negotiate', async () => {
+    const alice = await connectAs(serverModule.url, 'negotiation-alice-1');
+    const bob = await connectAs(serverModule.url, 'negotiation-bob-1');
+    await hello(alice, { version: 2, features: ['receipts'] });
+
+    alice.send('message_send', { id: 'gated-1', recipientId: 'negotiation-bob-1', content: 'hi' });
+    await bob.next('message_received');
+
+    bob.send('reaction_add', { messageId: 'gated-1', emoji: '👍' });
+    bob.send('message_read', { messageId: 'gated-1' });
+
+    expect((await alice.next('message_status')).data.status).toBe('read');
+    expect(alice.received.some(msg => msg.type === 'reaction_updated')).toBe(false);
+
+    await alice.close();
+    await bob.close();
+  });
+
+  test('keeps group traffic away from clients without the groups feature', async () => {
+    const owner = await connectAs(serverModule.url, 'negotiation-owner-2');
+    const member = await connectAs(serverModule.url, 'negotiation-member-2');
+    await hello(member, { version: 2, features: [] });
+
+    owner.send('group_create', { id: 'negotiation-group', name: 'Gated', memberIds: ['negotiation-member-2'] });
+    await owner.next('group_updated');
+    owner.send('message_send', { id: 'gated-group-1', groupId: 'negotiation-group', content: 'hello all' });
+    owner.send('message_send', { id: 'gated-direct-1', recipientId: 'negotiation-member-2', content: 'just you' });
+
+    const received = await member.next('message_received');
+    expect(received.data.id).toBe('gated-direct-1');
+    expect(member.received.some(msg => msg.type === 'group_updated' || msg.data.groupId)).toBe(false);
+
+    await owner.close();
+    await member.close();
+  });
+});
+
+describe('older clients', () => {
+  test('sends version 1 clients one status event per message', async () => {
+    const alice = await connectAs(serverModule.url, 'negotiation-alice-3');
+    const bob = await connectAs(serverModule.url, 'negotiation-bob-3');
+
+    for (const id of ['legacy-1', 'legacy-2']) {
+      alice.send('message_send', { id, recipientId: 'negotiation-bob-3', content: id });
+      await bob.next('message_received');
+    }
+
+    bob.send('message_ack', { messageIds: ['legacy-1', 'legacy-2'] });
+    expect((await alice.next('message_status')).data).toEqual({ messageId: 'legacy-1', messageIds: ['legacy-1'], status: 'delivered' });
+    expect((await alice.next('message_status')).data).toEqual({ messageId: 'legacy-2', messageIds: ['legacy-2'], status: 'delivered' });
+
+    await alice.close();
+    await bob.close();
+  });
+
+  test('adapts payloads without touching the original event', () => {
+    const event = { type: 'message_status', data: { messageIds: ['a', 'b'], status: 'read' } };
+    expect(adaptMessage(event, LEGACY_SESSION)).toHaveLength(2);
+    expect(adaptMessage(event, { version: 2, features: new Set(['receipts']) })).toEqual([event]);
+    expect(event.data.messageIds).toEqual(['a', 'b']);
+  });
+});
+
+describe('unsupported versions', () => {
+  let strictServer;
+
+  beforeAll(async () => {
+    jest.resetModules();
+    process.env.MIN_PROTOCOL_VERSION = '2';
+    strictServer = await startTestServer();
+  });
+
+  afterAll(async () => {
+    delete process.env.MIN_PROTOCOL_VERSION;
+    await strictServer.stop();
+  });
+
+  test('rejects an old version and closes the socket', async () => {
+    const client = await new TestClient(strictServer.url).open();
+    const closed = new Promise(resolve => client.ws.once('close', code => resolve(code)));
+
+    client.send('hello', { version: 1 }, { requestId: 'hi' });
+    const error = await client.next('error');
+    expect(error.requestId).toBe('hi');
+    expect(error.data).toMatchObject({ code: 'UNSUPPORTED_VERSION', minVersion: 2, maxVersion: PROTOCOL_VERSION });
+    expect(await closed).toBe(4001);
+  });
+
+  test('requires hello before auth once version 1 is retired', async () => {
+    const client = await new TestClient(strictServer.url).open();
+    await client.next('auth_challenge');
+
+    client.send('auth', { sessionId: 'negotiation-legacy', publicKey: 'aa', signature: 'bb' });
+    expect((await client.next('error')).data.code).toBe('UNSUPPORTED_VERSION');
+  });
+
+  test('accepts a supported version', async () => {
+    const client = await new TestClient(strictServer.url).open();
+    expect((await hello(client, { version: 2 })).data.version).toBe(2);
+    await client.close();
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Offline delivery queue tests
+ */
+
+const { startTestServer, createKeyPair, connectAs } = require('./helpers/client');
+
+let serverModule;
+
+beforeAll(async () => {
+  process.env.OFFLINE_QUEUE_TTL = '1000';
+  serverModule = await startTestServer();
+});
+
+afterAll(async () => {
+  await serverModule.stop();
+});
+
+describe('offline queue', () => {
+  test('delivers queued messages in order when the recipient reconnects', async () => {
+    const bobKeys = createKeyPair();
+    const bob = await connectAs(serverModule.url, 'queue-bob', bobKeys);
+    await bob.close();
+
+    const alice = await connectAs(serverModule.url, 'queue-alice');
+    ['first', 'second', 'third'].forEach((content, index) => {
+      alice.send('message_send', { id: `queued-${index}`, recipientId: 'queue-bob', content });
+    });
+    // Let the server process the sends before bob comes back
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const reconnected = await connectAs(serverModule.url, 'queue-bob', bobKeys);
+    const received = [];
+    for (let i = 0; i < 3; i++) {
+      received.push((await reconnected.next('message_received')).data.content);
+    }
+    expect(received).toEqual(['first', 'second', 'third']);
+
+    await alice.close();
+    await reconnected.close();
+  });
+
+  test('sends delivered receipts once the recipient acknowledges flushed messages', async () => {
+    const bobKeys = createKeyPair();
+    await (await connectAs(serverModule.url, 'queue-bob-2', bobKeys)).close();
+
+    const alice = await connectAs(serverModule.url, 'queue-alice-2');
+    alice.send('message_send', { id: 'receipt-1', recipientId: 'queue-bob-2', content: 'Are you there?' });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(await alice.expectNone('message_status')).toBe(true);
+
+    const bob = await connectAs(serverModule.url, 'queue-bob-2', bobKeys);
+    await bob.next('message_received');
+    expect(await alice.expectNone('message_status')).toBe(true);
+
+    bob.send('message_ack', { messageId: 'receipt-1' });
+    const status = await alice.next('message_status');
+    expect(status.data).toEqual({ messageId: 'receipt-1', messageIds: ['receipt-1'], status: 'delivered' });
+
+    await alice.close();
+    await bob.close();
+  });
+
+  test('queues the delivered receipt when the sender is offline too', async () => {
+    const aliceKeys = createKeyPair();
+    const bobKeys = createKeyPair();
+    await (await connectAs(serverModule.url, 'queue-bob-3', bobKeys)).close();
+
+    const alice = await connectAs(serverModule.url, 'queue-alice-3', aliceKeys);
+    alice.send('message_send', { id: 'receipt-3', recipientId: 'queue-bob-3', content: 'Later' });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await alice.close();
+
+    const bob = await connectAs(serverModule.url, 'queue-bob-3', bobKeys);
+    await bob.next('message_received');
+    bob.send('message_ack', { messageId: 'receipt-3' });
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const aliceAgain = await connectAs(serverModule.url, 'queue-alice-3', aliceKeys);
+    const status = await aliceAgain.next('message_status');
+    expect(status.data.status).toBe('delivered');
+
+    await bob.close();
+    await aliceAgain.close();
+  });
+
+  test('drops queued messages once the TTL has passed', async () => {
+    const bobKeys = createKeyPair();
+    await (await connectAs(serverModule.url, 'queue-bob-4', bobKeys)).close();
+
+    const alice = await connectAs(serverModule.url, 'queue-alice-4');
+    alice.send('message_send', { id: 'stale-1', recipientId: 'queue-bob-4', content: 'Too late' });
+    await new Promise(resolve => setTimeout(resolve, 1200));
+
+    const bob = await connectAs(serverModule.url, 'queue-bob-4', bobKeys);
+    expect(await bob.expectNone('message_received')).toBe(true);
+
+    await alice.close();
+    await bob.close();
+  });
+});
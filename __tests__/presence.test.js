@@ -0,0 +1,164 @@
+/**
+ * Rich presence tests
+ */
+
+const { startTestServer, createKeyPair, connectAs, makeContacts } = require('./helpers/client');
+
+let serverModule;
+
+beforeAll(async () => {
+  process.env.HEARTBEAT_INTERVAL = '50';
+  process.env.PRESENCE_IDLE_AFTER = '150';
+  process.env.PRESENCE_AWAY_AFTER = '400';
+  serverModule = await startTestServer();
+});
+
+afterAll(async () => {
+  await serverModule.stop();
+});
+
+// Presence updates are opt-in through hello
+async function connectWithPresence(sessionId, keys) {
+  const client = await connectAs(serverModule.url, sessionId, keys);
+  client.send('hello', { version: 2, features: ['presence'] });
+  await client.next('hello_ack');
+  return client;
+}
+
+async function queryPresence(client, sessionIds) {
+  client.send('presence_query', sessionIds ? { sessionIds } : {});
+  return (await client.next('presence')).data.presences;
+}
+
+describe('presence states', () => {
+  test('goes idle and away without activity and back online on activity', async () => {
+    const alice = await connectWithPresence('presence-alice-1');
+    const bob = await connectAs(serverModule.url, 'presence-bob-1');
+    await makeContacts(bob, alice);
+
+    const idle = await alice.next('presence_update', msg => msg.data.state === 'idle', 1000);
+    expect(idle.data.sessionId).toBe('presence-bob-1');
+    expect(idle.data.lastSeen).toBeDefined();
+    await alice.next('presence_update', msg => msg.data.state === 'away', 1000);
+
+    // Pings keep the connection alive but are not activity
+    bob.send('ping');
+    expect(await alice.expectNone('presence_update', () => true, 100)).toBe(true);
+
+    bob.send('contacts_list');
+    expect((await alice.next('presence_update')).data.state).toBe('online');
+
+    await alice.close();
+    await bob.close();
+  });
+
+  test('records last seen on disconnect', async () => {
+    const alice = await connectWithPresence('presence-alice-2');
+    const bob = await connectAs(serverModule.url, 'presence-bob-2');
+    await makeContacts(alice, bob);
+
+    const before = Date.now();
+    await bob.close();
+
+    const offline = await alice.next('presence_update', msg => msg.data.state === 'offline');
+    expect(new Date(offline.data.lastSeen).getTime()).toBeGreaterThanOrEqual(before - 5);
+
+    const [presence] = await queryPresence(alice);
+    expect(presence).toEqual(offline.data);
+
+    await alice.close();
+  });
+
+  test('leaves clients that did not negotiate presence alone', async () => {
+    const alice = await connectAs(serverModule.url, 'presence-alice-3');
+    const bob = await connectAs(serverModule.url, 'presence-bob-3');
+    await makeContacts(alice, bob);
+
+    await bob.close();
+    await alice.next('contact_offline');
+    expect(await alice.expectNone('presence_update')).toBe(true);
+
+    await alice.close();
+  });
+});
+
+describe('status text', () => {
+  test('shares and clears a custom status', async () => {
+    const alice = await connectWithPresence('presence-alice-4');
+    const bob = await connectAs(serverModule.url, 'presence-bob-4');
+    await makeContacts(alice, bob);
+
+    bob.send('status_update', { statusText: 'On holiday' });
+    const update = await alice.next('presence_update', msg => msg.data.statusText === 'On holiday');
+    expect(update.data).toMatchObject({ sessionId: 'presence-bob-4', state: 'online' });
+
+    bob.send('status_update', { statusText: '' });
+    await alice.next('presence_update', msg => msg.data.statusText === null);
+
+    bob.send('status_update', { statusText: 'x'.repeat(141) });
+    expect((await bob.next('error')).data.code).toBe('VALIDATION');
+
+    await alice.close();
+    await bob.close();
+  });
+});
+
+describe('presence query', () => {
+  test('answers for contacts only', async () => {
+    const aliceKeys = createKeyPair();
+    const alice = await connectAs(serverModule.url, 'presence-alice-5', aliceKeys);
+    const bob = await connectAs(serverModule.url, 'presence-bob-5');
+    const stranger = await connectAs(serverModule.url, 'presence-stranger-5');
+    await makeContacts(alice, bob);
+
+    bob.send('status_update', { statusText: 'Busy' }, { requestId: 'status' });
+    await bob.next('ack');
+    await alice.close();
+
+    // Reconnecting clients catch up on their contacts in one request
+    const aliceAgain = await connectAs(serverModule.url, 'presence-alice-5', aliceKeys);
+    const presences = await queryPresence(aliceAgain, ['presence-bob-5', 'presence-stranger-5']);
+    expect(presences).toEqual([
+      expect.objectContaining({ sessionId: 'presence-bob-5', state: 'online', statusText: 'Busy' })
+    ]);
+
+    aliceAgain.send('user_block', { sessionId: 'presence-bob-5' });
+    await aliceAgain.next('block_list');
+    expect(await queryPresence(aliceAgain)).toEqual([]);
+
+    await aliceAgain.close();
+    await bob.close();
+    await stranger.close();
+  });
+});
+
+describe('last-seen privacy', () => {
+  test('hides last seen and idle state when set to nobody', async () => {
+    const alice = await connectWithPresence('presence-alice-6');
+    const bob = await connectAs(serverModule.url, 'presence-bob-6');
+    await makeContacts(alice, bob);
+
+    bob.send('settings_update', { lastSeenVisibility: 'nobody' });
+    await bob.next('settings');
+
+    // Going idle and away is invisible to contacts
+    expect(await alice.expectNone('presence_update', () => true, 500)).toBe(true);
+    const [presence] = await queryPresence(alice);
+    expect(presence).toEqual({ sessionId: 'presence-bob-6', state: 'online', statusText: null, lastSeen: null });
+
+    await bob.close();
+    const offline = await alice.next('presence_update');
+    expect(offline.data).toEqual({ sessionId: 'presence-bob-6', state: 'offline', statusText: null, lastSeen: null });
+
+    await alice.close();
+  });
+
+  test('rejects unknown visibility values', async () => {
+    const alice = await connectAs(serverModule.url, 'presence-alice-7');
+
+    alice.send('settings_update', { lastSeenVisibility: 'everyone' });
+    expect((await alice.next('error')).data.code).toBe('VALIDATION');
+
+    await alice.close();
+  });
+});
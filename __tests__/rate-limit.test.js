@@ -0,0 +1,136 @@
+/**
+ * Rate limiting tests
+ */
+
+const { parseRateLimit, createRateLimiter } = require('../ratelimit');
+const { startTestServer, connectAs } = require('./helpers/client');
+
+describe('token bucket', () => {
+  let time;
+  let limiter;
+
+  beforeEach(() => {
+    time = 0;
+    limiter = createRateLimiter({ now: () => time });
+  });
+
+  test('parses <tokens>/<seconds> rules', () => {
+    expect(parseRateLimit('30/10')).toEqual({ capacity: 30, refillPerMs: 0.003 });
+    expect(() => parseRateLimit('30 per 10')).toThrow('Invalid rate limit');
+    expect(() => parseRateLimit('0/10')).toThrow('Invalid rate limit');
+  });
+
+  test('allows a burst up to capacity, then refills over time', () => {
+    const checks = [{ key: 'alice', rule: parseRateLimit('3/3') }];
+
+    for (let i = 0; i < 3; i++) {
+      expect(limiter.consume(checks).allowed).toBe(true);
+    }
+    expect(limiter.consume(checks)).toEqual({ allowed: false, key: 'alice', retryAfter: 1000 });
+
+    time = 1000;
+    expect(limiter.consume(checks).allowed).toBe(true);
+    expect(limiter.consume(checks).allowed).toBe(false);
+  });
+
+  test('takes nothing when any bucket is empty', () => {
+    const session = { key: 'session', rule: parseRateLimit('10/10') };
+    const type = { key: 'session:message_send', rule: parseRateLimit('1/10') };
+
+    expect(limiter.consume([session, type]).allowed).toBe(true);
+    expect(limiter.consume([session, type]).key).toBe('session:message_send');
+
+    // The session bucket only paid for the first message
+    for (let i = 0; i < 9; i++) {
+      expect(limiter.consume([session]).allowed).toBe(true);
+    }
+    expect(limiter.consume([session]).allowed).toBe(false);
+  });
+
+  test('prunes buckets once they have refilled', () => {
+    const checks = [{ key: 'alice', rule: parseRateLimit('2/2') }];
+    limiter.consume(checks);
+    expect(limiter.size()).toBe(1);
+
+    limiter.prune();
+    expect(limiter.size()).toBe(1);
+
+    time = 1000;
+    limiter.prune();
+    expect(limiter.size()).toBe(0);
+  });
+});
+
+describe('WebSocket rate limits', () => {
+  let serverModule;
+
+  beforeAll(async () => {
+    process.env.RATE_LIMIT_MESSAGE_SEND = '3/60';
+    process.env.RATE_LIMIT_INVITATION_RESEND = '2/60';
+    process.env.RATE_LIMIT_SESSION = '10/60';
+    process.env.RATE_LIMIT_MAX_VIOLATIONS = '3';
+    serverModule = await startTestServer();
+  });
+
+  afterAll(async () => {
+    await serverModule.stop();
+  });
+
+  test('rejects messages over the per-type limit with RATE_LIMITED', async () => {
+    const alice = await connectAs(serverModule.url, 'limited-alice-1');
+
+    for (let i = 0; i < 4; i++) {
+      alice.send('message_send', { id: `limited-${i}`, recipientId: 'limited-bob', content: 'spam' }, { requestId: `send-${i}` });
+    }
+
+    const error = await alice.next('error');
+    expect(error.requestId).toBe('send-3');
+    expect(error.data.code).toBe('RATE_LIMITED');
+    expect(error.data.retryAfter).toBeGreaterThan(0);
+    expect(await serverModule.storage.findMessage('limited-3')).toBeNull();
+
+    // Other message types still go through
+    alice.send('ping');
+    await alice.next('pong');
+
+    await alice.close();
+  });
+
+  test('limits invitation resends separately', async () => {
+    const alice = await connectAs(serverModule.url, 'limited-alice-4');
+
+    for (let i = 0; i < 3; i++) {
+      alice.send('invitation_resend', { invitationId: 'limited-invite' }, { requestId: `resend-${i}` });
+    }
+
+    expect((await alice.next('error', msg => msg.requestId === 'resend-1')).data.code).toBe('NOT_FOUND');
+    expect((await alice.next('error', msg => msg.requestId === 'resend-2')).data.code).toBe('RATE_LIMITED');
+
+    await alice.close();
+  });
+
+  test('limits all traffic from a session', async () => {
+    const alice = await connectAs(serverModule.url, 'limited-alice-2');
+
+    for (let i = 0; i < 11; i++) {
+      alice.send('ping', undefined, { requestId: `ping-${i}` });
+    }
+
+    const error = await alice.next('error');
+    expect(error.requestId).toBe('ping-10');
+    expect(error.data.code).toBe('RATE_LIMITED');
+
+    await alice.close();
+  });
+
+  test('disconnects a connection after repeated violations', async () => {
+    const alice = await connectAs(serverModule.url, 'limited-alice-3');
+    const closed = new Promise(resolve => alice.ws.once('close', code => resolve(code)));
+
+    for (let i = 0; i < 10; i++) {
+      alice.send('message_send', { id: `flood-${i}`, recipientId: 'limited-bob', content: 'spam' });
+    }
+
+    expect(await closed).toBe(1008);
+  });
+});
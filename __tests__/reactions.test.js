@@ -0,0 +1,79 @@
+/**
+ * Message reaction tests
+ */
+
+const { startTestServer, connectAs } = require('./helpers/client');
+
+let serverModule;
+let alice;
+let bob;
+
+beforeAll(async () => {
+  serverModule = await startTestServer();
+  alice = await connectAs(serverModule.url, 'reaction-alice');
+  bob = await connectAs(serverModule.url, 'reaction-bob');
+
+  alice.send('message_send', { id: 'react-1', recipientId: 'reaction-bob', content: 'Lunch?' });
+  await bob.next('message_received');
+});
+
+afterAll(async () => {
+  await alice.close();
+  await bob.close();
+  await serverModule.stop();
+});
+
+describe('reactions', () => {
+  test('aggregates reactions per emoji and broadcasts them', async () => {
+    bob.send('reaction_add', { messageId: 'react-1', emoji: '👍' });
+    const first = await alice.next('reaction_updated');
+    expect(first.data).toMatchObject({
+      messageId: 'react-1',
+      sessionId: 'reaction-bob',
+      emoji: '👍',
+      action: 'add',
+      reactions: { '👍': ['reaction-bob'] }
+    });
+
+    alice.send('reaction_add', { messageId: 'react-1', emoji: '👍' });
+    const second = await bob.next('reaction_updated');
+    expect(second.data.reactions['👍'].sort()).toEqual(['reaction-alice', 'reaction-bob']);
+  });
+
+  test('adding the same reaction twice counts once', async () => {
+    bob.send('reaction_add', { messageId: 'react-1', emoji: '👍' });
+    const update = await alice.next('reaction_updated');
+    expect(update.data.reactions['👍']).toHaveLength(2);
+  });
+
+  test('removing the last reactor drops the emoji', async () => {
+    bob.send('reaction_add', { messageId: 'react-1', emoji: '🎉' });
+    await alice.next('reaction_updated');
+
+    bob.send('reaction_remove', { messageId: 'react-1', emoji: '🎉' });
+    const update = await alice.next('reaction_updated');
+    expect(update.data.action).toBe('remove');
+    expect(update.data.reactions['🎉']).toBeUndefined();
+  });
+
+  test('reactions are included in history', async () => {
+    alice.send('history_request', { peerId: 'reaction-bob' });
+    const [message] = (await alice.next('history_response')).data.messages;
+    expect(Object.keys(message.reactions)).toEqual(['👍']);
+  });
+
+  test('outsiders cannot react', async () => {
+    const mallory = await connectAs(serverModule.url, 'reaction-mallory');
+    mallory.send('reaction_add', { messageId: 'react-1', emoji: '👎' });
+    expect((await mallory.next('error')).data.code).toBe('FORBIDDEN');
+    await mallory.close();
+  });
+
+  test('rejects missing emoji and unknown messages', async () => {
+    bob.send('reaction_add', { messageId: 'react-1' });
+    expect((await bob.next('error')).data.code).toBe('VALIDATION');
+
+    bob.send('reaction_add', { messageId: 'react-missing', emoji: '👍' });
+    expect((await bob.next('error')).data.code).toBe('NOT_FOUND');
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Delivery and read receipt tests
+ */
+
+const { startTestServer, connectAs } = require('./helpers/client');
+
+let serverModule;
+
+beforeAll(async () => {
+  serverModule = await startTestServer();
+});
+
+afterAll(async () => {
+  await serverModule.stop();
+});
+
+// Batched status events need protocol version 2
+async function negotiateBatches(client) {
+  client.send('hello', { version: 2, features: ['receipts'] });
+  await client.next('hello_ack');
+}
+
+async function sendMessages(sender, recipient, ids) {
+  for (const id of ids) {
+    sender.send('message_send', { id, recipientId: recipient.sessionId, content: id });
+    await recipient.next('message_received', msg => msg.data.id === id);
+  }
+}
+
+describe('delivery receipts', () => {
+  test('moves a message from sent to delivered on ack', async () => {
+    const alice = await connectAs(serverModule.url, 'receipts-alice-1');
+    const bob = await connectAs(serverModule.url, 'receipts-bob-1');
+    await sendMessages(alice, bob, ['ack-1']);
+
+    bob.send('message_ack', { messageId: 'ack-1' });
+    const status = await alice.next('message_status');
+    expect(status.data).toEqual({ messageId: 'ack-1', messageIds: ['ack-1'], status: 'delivered' });
+
+    const stored = await serverModule.storage.findMessage('ack-1');
+    expect(stored.message.status).toBe('delivered');
+    expect(stored.message.deliveredAt).toBeDefined();
+
+    await alice.close();
+    await bob.close();
+  });
+
+  test('batches acks and ignores repeats and foreign messages', async () => {
+    const alice = await connectAs(serverModule.url, 'receipts-alice-2');
+    await negotiateBatches(alice);
+    const bob = await connectAs(serverModule.url, 'receipts-bob-2');
+    await sendMessages(alice, bob, ['batch-1', 'batch-2']);
+
+    // Alice cannot ack her own messages
+    alice.send('message_ack', { messageIds: ['batch-1'] });
+    expect(await alice.expectNone('message_status')).toBe(true);
+
+    bob.send('message_ack', { messageIds: ['batch-1', 'batch-2'] });
+    const status = await alice.next('message_status');
+    expect(status.data).toEqual({ messageIds: ['batch-1', 'batch-2'], status: 'delivered' });
+
+    bob.send('message_ack', { messageIds: ['batch-1', 'batch-2'] });
+    expect(await alice.expectNone('message_status')).toBe(true);
+
+    await alice.close();
+    await bob.close();
+  });
+});
+
+describe('read receipts', () => {
+  test('never moves a read message back to delivered', async () => {
+    const alice = await connectAs(serverModule.url, 'receipts-alice-3');
+    const bob = await connectAs(serverModule.url, 'receipts-bob-3');
+    await sendMessages(alice, bob, ['read-1']);
+
+    bob.send('message_read', { messageId: 'read-1' });
+    expect((await alice.next('message_status')).data.status).toBe('read');
+
+    bob.send('message_ack', { messageId: 'read-1' });
+    expect(await alice.expectNone('message_status')).toBe(true);
+    expect((await serverModule.storage.findMessage('read-1')).message.status).toBe('read');
+
+    await alice.close();
+    await bob.close();
+  });
+
+  test('marks everything up to a message as read in one receipt', async () => {
+    const alice = await connectAs(serverModule.url, 'receipts-alice-4');
+    await negotiateBatches(alice);
+    const bob = await connectAs(serverModule.url, 'receipts-bob-4');
+    await sendMessages(alice, bob, ['upto-1', 'upto-2']);
+    bob.send('message_send', { id: 'upto-reply', recipientId: 'receipts-alice-4', content: 'reply' });
+    await alice.next('message_received');
+    await sendMessages(alice, bob, ['upto-3', 'upto-4']);
+
+    bob.send('message_read', { upToMessageId: 'upto-3' });
+    const status = await alice.next('message_status');
+    expect(status.data).toEqual({ messageIds: ['upto-1', 'upto-2', 'upto-3'], status: 'read' });
+
+    expect((await serverModule.storage.findMessage('upto-4')).message.status).toBe('sent');
+    expect((await serverModule.storage.findMessage('upto-reply')).message.status).toBe('sent');
+
+    await alice.close();
+    await bob.close();
+  });
+
+  test('reads back only as far as the previous receipt', async () => {
+    const alice = await connectAs(serverModule.url, 'receipts-alice-7');
+    await negotiateBatches(alice);
+    const bob = await connectAs(serverModule.url, 'receipts-bob-7');
+    await sendMessages(alice, bob, ['since-1', 'since-2']);
+
+    bob.send('message_read', { upToMessageId: 'since-2' });
+    await alice.next('message_status');
+    await sendMessages(alice, bob, ['since-3', 'since-4']);
+
+    const getMessagesPage = jest.spyOn(serverModule.storage, 'getMessagesPage');
+    const getConversation = jest.spyOn(serverModule.storage, 'getConversation');
+    try {
+      bob.send('message_read', { upToMessageId: 'since-4' });
+      expect((await alice.next('message_status')).data).toEqual({ messageIds: ['since-3', 'since-4'], status: 'read' });
+      expect(getConversation).not.toHaveBeenCalled();
+      expect(getMessagesPage).toHaveBeenCalledTimes(1);
+    } finally {
+      getMessagesPage.mockRestore();
+      getConversation.mockRestore();
+    }
+
+    await alice.close();
+    await bob.close();
+  });
+
+  test('rejects reads from outside the conversation', async () => {
+    const alice = await connectAs(serverModule.url, 'receipts-alice-5');
+    const bob = await connectAs(serverModule.url, 'receipts-bob-5');
+    const mallory = await connectAs(serverModule.url, 'receipts-mallory-5');
+    await sendMessages(alice, bob, ['private-1']);
+
+    mallory.send('message_read', { upToMessageId: 'private-1' });
+    expect((await mallory.next('error')).data.code).toBe('FORBIDDEN');
+
+    mallory.send('message_read', { messageId: 'missing' });
+    expect((await mallory.next('error')).data.code).toBe('NOT_FOUND');
+
+    await alice.close();
+    await bob.close();
+    await mallory.close();
+  });
+
+  test('keeps reads private when read receipts are turned off', async () => {
+    const alice = await connectAs(serverModule.url, 'receipts-alice-6');
+    const bob = await connectAs(serverModule.url, 'receipts-bob-6');
+    await sendMessages(alice, bob, ['hidden-1']);
+
+    bob.send('settings_update', { readReceipts: false });
+    expect((await bob.next('settings')).data).toMatchObject({ readReceipts: false });
+
+    bob.send('message_read', { messageId: 'hidden-1' });
+    expect(await alice.expectNone('message_status')).toBe(true);
+    expect((await serverModule.storage.findMessage('hidden-1')).message.status).toBe('sent');
+
+    bob.send('settings_update', { readReceipts: 'sometimes' });
+    expect((await bob.next('error')).data.code).toBe('VALIDATION');
+
+    await alice.close();
+    await bob.close();
+  });
+});
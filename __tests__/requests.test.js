@@ -0,0 +1,115 @@
+/**
+ * Request/response correlation and error code tests
+ */
+
+const { startTestServer, connectAs, TestClient } = require('./helpers/client');
+const { ERROR_CODES } = require('../protocol');
+
+let serverModule;
+
+beforeAll(async () => {
+  serverModule = await startTestServer();
+});
+
+afterAll(async () => {
+  await serverModule.stop();
+});
+
+describe('request correlation', () => {
+  test('acknowledges a successful request with its requestId', async () => {
+    const alice = await connectAs(serverModule.url, 'requests-alice-1');
+
+    alice.send('message_send', { id: 'req-msg-1', recipientId: 'requests-bob-1', content: 'hi' }, { requestId: 'r-1' });
+    const ack = await alice.next('ack');
+    expect(ack).toEqual({ type: 'ack', requestId: 'r-1', data: { type: 'message_send' } });
+
+    await alice.close();
+  });
+
+  test('answers a failed request with a coded error instead of an ack', async () => {
+    const alice = await connectAs(serverModule.url, 'requests-alice-2');
+
+    alice.send('message_edit', { messageId: 'missing', content: 'edit' }, { requestId: 42 });
+    const error = await alice.next('error');
+    expect(error.requestId).toBe(42);
+    expect(error.data).toEqual({ code: 'NOT_FOUND', message: 'Message not found' });
+    expect(await alice.expectNone('ack')).toBe(true);
+
+    await alice.close();
+  });
+
+  test('keeps concurrent requests apart', async () => {
+    const alice = await connectAs(serverModule.url, 'requests-alice-3');
+    const bob = await connectAs(serverModule.url, 'requests-bob-3');
+
+    alice.send('message_send', { id: 'req-msg-3', recipientId: 'requests-bob-3', content: 'hi' }, { requestId: 'send' });
+    alice.send('message_edit', { messageId: 'nope', content: 'x' }, { requestId: 'edit' });
+    alice.send('invitation_accept', { invitationId: 'nope' }, { requestId: 'accept' });
+    await bob.next('message_received');
+
+    bob.send('message_edit', { messageId: 'req-msg-3', content: 'mine now' }, { requestId: 'steal' });
+
+    expect((await alice.next('ack')).requestId).toBe('send');
+    expect((await alice.next('error', msg => msg.requestId === 'edit')).data.code).toBe('NOT_FOUND');
+    expect((await alice.next('error', msg => msg.requestId === 'accept')).data.code).toBe('NOT_FOUND');
+    expect((await bob.next('error', msg => msg.requestId === 'steal')).data.code).toBe('FORBIDDEN');
+
+    await alice.close();
+    await bob.close();
+  });
+
+  test('does not ack messages sent without a requestId', async () => {
+    const alice = await connectAs(serverModule.url, 'requests-alice-4');
+
+    alice.send('message_send', { id: 'req-msg-4', recipientId: 'requests-bob-4', content: 'hi' });
+    expect(await alice.expectNone('ack')).toBe(true);
+
+    await alice.close();
+  });
+
+  test('echoes the requestId on failed authentication', async () => {
+    const client = await new TestClient(serverModule.url).open();
+    await client.next('auth_challenge');
+
+    client.send('auth', { sessionId: 'requests-eve' }, { requestId: 'login' });
+    const failed = await client.next('auth_failed');
+    expect(failed.requestId).toBe('login');
+    expect(failed.data.reason).toBe('missing_proof');
+    expect(await client.expectNone('ack')).toBe(true);
+
+    await client.close();
+  });
+});
+
+describe('error codes', () => {
+  test('rejects messages before authentication with AUTH_REQUIRED', async () => {
+    const client = await new TestClient(serverModule.url).open();
+
+    client.send('message_send', { id: 'early', recipientId: 'bob' }, { requestId: 'early' });
+    const error = await client.next('error');
+    expect(error.requestId).toBe('early');
+    expect(error.data.code).toBe('AUTH_REQUIRED');
+
+    await client.close();
+  });
+
+  test('reports unknown message types and malformed frames', async () => {
+    const alice = await connectAs(serverModule.url, 'requests-alice-5');
+
+    alice.send('teleport', {}, { requestId: 'where' });
+    const unknown = await alice.next('error');
+    expect(unknown.requestId).toBe('where');
+    expect(unknown.data.code).toBe('UNKNOWN_TYPE');
+
+    alice.ws.send('not json');
+    expect((await alice.next('error')).data.code).toBe('INVALID_FORMAT');
+
+    await alice.close();
+  });
+
+  test('publishes the stable error codes', async () => {
+    expect(ERROR_CODES).toEqual(expect.arrayContaining([
+      'AUTH_REQUIRED', 'NOT_FOUND', 'FORBIDDEN', 'RATE_LIMITED', 'VALIDATION'
+    ]));
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Sender identity enforcement tests
+ */
+
+const { startTestServer, connectAs } = require('./helpers/client');
+
+let serverModule;
+
+beforeAll(async () => {
+  serverModule = await startTestServer();
+});
+
+afterAll(async () => {
+  await serverModule.stop();
+});
+
+describe('sender enforcement', () => {
+  test('rejects a message whose senderId is not the authenticated session', async () => {
+    const mallory = await connectAs(serverModule.url, 'sender-mallory');
+    const bob = await connectAs(serverModule.url, 'sender-bob');
+
+    mallory.send('message_send', {
+      id: 'forged-1',
+      senderId: 'sender-alice',
+      recipientId: 'sender-bob',
+      content: 'It is me, Alice'
+    });
+
+    const error = await mallory.next('error');
+    expect(error.data.code).toBe('SENDER_MISMATCH');
+    expect(await bob.expectNone('message_received')).toBe(true);
+
+    await mallory.close();
+    await bob.close();
+  });
+
+  test('stamps messages with the authenticated session when senderId is omitted', async () => {
+    const alice = await connectAs(serverModule.url, 'sender-alice-2');
+    const bob = await connectAs(serverModule.url, 'sender-bob-2');
+
+    alice.send('message_send', { id: 'implicit-1', recipientId: 'sender-bob-2', content: 'Hi' });
+
+    const received = await bob.next('message_received');
+    expect(received.data.senderId).toBe('sender-alice-2');
+
+    await alice.close();
+    await bob.close();
+  });
+
+  test('refuses a message id already used by another sender', async () => {
+    const alice = await connectAs(serverModule.url, 'sender-alice-6');
+    const bob = await connectAs(serverModule.url, 'sender-bob-6');
+    const mallory = await connectAs(serverModule.url, 'sender-mallory-6');
+
+    alice.send('message_send', { id: 'taken-6', recipientId: 'sender-bob-6', content: 'Original' });
+    await bob.next('message_received');
+
+    mallory.send('message_send', { id: 'taken-6', recipientId: 'sender-bob-6', content: 'Replaced' });
+    expect((await mallory.next('error')).data.code).toBe('CONFLICT');
+    expect(await bob.expectNone('message_received')).toBe(true);
+
+    const stored = await serverModule.storage.findMessage('taken-6');
+    expect(stored.message).toMatchObject({ senderId: 'sender-alice-6', content: 'Original' });
+
+    await alice.close();
+    await bob.close();
+    await mallory.close();
+  });
+
+  test('rejects an invitation sent on behalf of someone else', async () => {
+    const mallory = await connectAs(serverModule.url, 'sender-mallory-3');
+    const bob = await connectAs(serverModule.url, 'sender-bob-3');
+
+    mallory.send('invitation_send', {
+      id: 'forged-invite',
+      senderId: 'sender-alice-3',
+      recipientId: 'sender-bob-3',
+      message: 'Connect?'
+    });
+
+    expect((await mallory.next('error')).data.code).toBe('SENDER_MISMATCH');
+    expect(await bob.expectNone('invitation_received')).toBe(true);
+
+    await mallory.close();
+    await bob.close();
+  });
+
+  test('only the recipient can accept or decline an invitation', async () => {
+    const alice = await connectAs(serverModule.url, 'sender-alice-4');
+    const bob = await connectAs(serverModule.url, 'sender-bob-4');
+    const mallory = await connectAs(serverModule.url, 'sender-mallory-4');
+
+    alice.send('invitation_send', { id: 'invite-4', recipientId: 'sender-bob-4', message: 'Connect?' });
+    await bob.next('invitation_received');
+
+    mallory.send('invitation_accept', { invitationId: 'invite-4' });
+    expect((await mallory.next('error')).data.code).toBe('FORBIDDEN');
+
+    alice.send('invitation_decline', { invitationId: 'invite-4' });
+    expect((await alice.next('error')).data.code).toBe('FORBIDDEN');
+
+    bob.send('invitation_accept', { invitationId: 'invite-4' });
+    const response = await alice.next('invitation_response');
+    expect(response.data.status).toBe('accepted');
+
+    await alice.close();
+    await bob.close();
+    await mallory.close();
+  });
+
+  test('only the recipient can mark a message as read', async () => {
+    const alice = await connectAs(serverModule.url, 'sender-alice-5');
+    const bob = await connectAs(serverModule.url, 'sender-bob-5');
+    const mallory = await connectAs(serverModule.url, 'sender-mallory-5');
+
+    alice.send('message_send', { id: 'read-5', recipientId: 'sender-bob-5', content: 'Hi' });
+    await bob.next('message_received');
+
+    mallory.send('message_read', { messageId: 'read-5' });
+    expect((await mallory.next('error')).data.code).toBe('FORBIDDEN');
+    expect(await alice.expectNone('message_status')).toBe(true);
+
+    await alice.close();
+    await bob.close();
+    await mallory.close();
+  });
+});
@@ -0,0 +1,264 @@
+/**
+ * Storage backend contract tests
+ * The Redis backend runs against a local redis-server when REDIS_URL is set:
+ *   REDIS_URL=redis://localhost:6379 npm test
+ */
+
+const { createMemoryStorage, createRedisStorage } = require('../storage');
+
+const redisPrefix = `askless-test-${process.pid}:`;
+const backends = [['memory', () => createMemoryStorage()]];
+if (process.env.REDIS_URL) {
+  backends.push(['redis', () => createRedisStorage({ prefix: redisPrefix })]);
+}
+
+describe.each(backends)('%s storage', (name, create) => {
+  let storage;
+
+  beforeEach(async () => {
+    storage = create();
+    await storage.connect();
+  });
+
+  afterEach(async () => {
+    if (storage.name === 'redis') {
+      const keys = await storage.client.keys(`${redisPrefix}*`);
+      if (keys.length > 0) {
+        await storage.client.del(keys);
+      }
+    }
+    await storage.close();
+  });
+
+  test('stores messages per conversation in order', async () => {
+    await storage.saveMessage('conv-1', { id: 'm1', content: 'first' });
+    await storage.saveMessage('conv-1', { id: 'm2', content: 'second' });
+    await storage.saveMessage('conv-2', { id: 'm3', content: 'other' });
+
+    expect((await storage.getConversation('conv-1')).map(msg => msg.id)).toEqual(['m1', 'm2']);
+    expect(await storage.getConversation('conv-missing')).toEqual([]);
+    expect(await storage.countConversations()).toBe(2);
+  });
+
+  test('refuses a message id that is already taken in any conversation', async () => {
+    expect(await storage.saveMessage('conv-1', { id: 'm1', senderId: 'alice', content: 'original' })).toBe(true);
+    expect(await storage.saveMessage('conv-2', { id: 'm1', senderId: 'mallory', content: 'replaced' })).toBe(false);
+
+    const found = await storage.findMessage('m1');
+    expect(found.conversationId).toBe('conv-1');
+    expect(found.message.senderId).toBe('alice');
+    expect(await storage.getConversation('conv-2')).toEqual([]);
+  });
+
+  test('finds and updates a message by id', async () => {
+    await storage.saveMessage('conv-1', { id: 'm1', status: 'sent' });
+
+    const found = await storage.findMessage('m1');
+    expect(found.conversationId).toBe('conv-1');
+
+    found.message.status = 'read';
+    await storage.updateMessage(found.conversationId, found.message);
+
+    expect((await storage.findMessage('m1')).message.status).toBe('read');
+    expect((await storage.getConversation('conv-1'))[0].status).toBe('read');
+    expect(await storage.findMessage('missing')).toBeNull();
+  });
+
+  test('stores user settings per session', async () => {
+    expect(await storage.getUserSettings('alice')).toEqual({});
+
+    await storage.saveUserSettings('alice', { readReceipts: false });
+    expect(await storage.getUserSettings('alice')).toEqual({ readReceipts: false });
+    expect(await storage.getUserSettings('bob')).toEqual({});
+  });
+
+  test('stores presence per session', async () => {
+    expect(await storage.getPresence('alice')).toBeNull();
+
+    await storage.savePresence('alice', { state: 'away', statusText: 'Lunch', lastSeen: '2024-01-01T00:00:00.000Z' });
+    expect(await storage.getPresence('alice')).toEqual({ state: 'away', statusText: 'Lunch', lastSeen: '2024-01-01T00:00:00.000Z' });
+  });
+
+  test('records contacts on both sides', async () => {
+    await storage.addContact('alice', 'bob', '2024-01-01T00:00:00.000Z');
+    await storage.addContact('bob', 'alice', '2024-02-01T00:00:00.000Z');
+    await storage.addContact('alice', 'carol', '2024-03-01T00:00:00.000Z');
+
+    expect(await storage.getContacts('bob')).toEqual([{ sessionId: 'alice', since: '2024-01-01T00:00:00.000Z' }]);
+    expect((await storage.getContacts('alice')).map(contact => contact.sessionId).sort()).toEqual(['bob', 'carol']);
+    expect(await storage.isContact('carol', 'alice')).toBe(true);
+
+    await storage.removeContact('bob', 'alice');
+    expect(await storage.isContact('alice', 'bob')).toBe(false);
+    expect(await storage.getContacts('bob')).toEqual([]);
+  });
+
+  test('tracks blocked sessions per blocker', async () => {
+    await storage.blockUser('alice', 'mallory');
+    await storage.blockUser('alice', 'eve');
+    await storage.unblockUser('alice', 'eve');
+
+    expect(await storage.getBlockedUsers('alice')).toEqual(['mallory']);
+    expect(await storage.isBlocked('alice', 'mallory')).toBe(true);
+    expect(await storage.isBlocked('mallory', 'alice')).toBe(false);
+    expect(await storage.getBlockedUsers('bob')).toEqual([]);
+  });
+
+  test('lists reports newest first', async () => {
+    await storage.saveReport({ id: 'r1', reportedId: 'mallory' });
+    await storage.saveReport({ id: 'r2', reportedId: 'eve' });
+
+    expect((await storage.listReports()).map(report => report.id)).toEqual(['r2', 'r1']);
+  });
+
+  test('stores devices per session', async () => {
+    await storage.saveDevice('alice', { deviceId: 'phone', deviceName: 'Phone' });
+    await storage.saveDevice('alice', { deviceId: 'tablet', deviceName: null });
+
+    expect(await storage.getDevice('alice', 'phone')).toEqual({ deviceId: 'phone', deviceName: 'Phone' });
+    expect((await storage.listDevices('alice')).map(device => device.deviceId).sort()).toEqual(['phone', 'tablet']);
+
+    expect(await storage.revokeDevice('alice', 'phone')).toBe(true);
+    expect(await storage.revokeDevice('alice', 'phone')).toBe(false);
+    expect(await storage.getDevice('alice', 'phone')).toBeNull();
+    expect(await storage.isDeviceRevoked('alice', 'phone')).toBe(true);
+    expect(await storage.isDeviceRevoked('alice', 'tablet')).toBe(false);
+    expect(await storage.listDevices('bob')).toEqual([]);
+  });
+
+  test('pages through a conversation with message id cursors', async () => {
+    for (let i = 1; i <= 5; i++) {
+      await storage.saveMessage('conv-1', { id: `m${i}` });
+    }
+    const ids = page => page.messages.map(msg => msg.id);
+
+    const latest = await storage.getMessagesPage('conv-1', { limit: 2 });
+    expect(ids(latest)).toEqual(['m4', 'm5']);
+    expect(latest.hasMore).toBe(true);
+
+    const older = await storage.getMessagesPage('conv-1', { before: 'm4', limit: 2 });
+    expect(ids(older)).toEqual(['m2', 'm3']);
+
+    const oldest = await storage.getMessagesPage('conv-1', { before: 'm2', limit: 2 });
+    expect(ids(oldest)).toEqual(['m1']);
+    expect(oldest.hasMore).toBe(false);
+
+    const newer = await storage.getMessagesPage('conv-1', { after: 'm1', limit: 3 });
+    expect(ids(newer)).toEqual(['m2', 'm3', 'm4']);
+    expect(newer.hasMore).toBe(true);
+
+    expect(await storage.getMessagesPage('conv-1', { after: 'missing', limit: 2 })).toBeNull();
+    expect(ids(await storage.getMessagesPage('conv-missing', { limit: 2 }))).toEqual([]);
+  });
+
+  test('stores and lists invitations', async () => {
+    await storage.saveInvitation({ id: 'i1', senderId: 'alice', recipientId: 'bob', status: 'pending' });
+    await storage.saveInvitation({ id: 'i2', senderId: 'carol', recipientId: 'alice', status: 'pending' });
+    await storage.saveInvitation({ id: 'i1', senderId: 'alice', recipientId: 'bob', status: 'accepted' });
+
+    expect((await storage.getInvitation('i1')).status).toBe('accepted');
+    expect(await storage.getInvitation('missing')).toBeNull();
+    expect((await storage.listInvitations()).map(inv => inv.id).sort()).toEqual(['i1', 'i2']);
+    expect(await storage.countInvitations()).toBe(2);
+  });
+
+  test('deletes an invitation from the per-session index too', async () => {
+    await storage.saveInvitation({ id: 'i1', senderId: 'alice', recipientId: 'bob', status: 'expired' });
+    await storage.saveInvitation({ id: 'i2', senderId: 'alice', recipientId: 'carol', status: 'pending' });
+
+    expect(await storage.deleteInvitation('i1')).toBe(true);
+    expect(await storage.deleteInvitation('i1')).toBe(false);
+    expect(await storage.getInvitation('i1')).toBeNull();
+    expect((await storage.listSessionInvitations('alice')).map(inv => inv.id)).toEqual(['i2']);
+    expect(await storage.listSessionInvitations('bob')).toEqual([]);
+    expect(await storage.countInvitations()).toBe(1);
+  });
+
+  test('lists the invitations a session sent or received', async () => {
+    await storage.saveInvitation({ id: 'i1', senderId: 'alice', recipientId: 'bob', status: 'pending' });
+    await storage.saveInvitation({ id: 'i2', senderId: 'carol', recipientId: 'alice', status: 'pending' });
+    await storage.saveInvitation({ id: 'i1', senderId: 'alice', recipientId: 'bob', status: 'accepted' });
+
+    const ids = async sessionId => (await storage.listSessionInvitations(sessionId)).map(inv => inv.id).sort();
+    expect(await ids('alice')).toEqual(['i1', 'i2']);
+    expect(await ids('bob')).toEqual(['i1']);
+    expect((await storage.listSessionInvitations('bob'))[0].status).toBe('accepted');
+    expect(await ids('nobody')).toEqual([]);
+  });
+
+  test('stores groups and per-member read state', async () => {
+    await storage.saveGroup({ id: 'g1', name: 'Group', members: { s1: { role: 'owner' } } });
+    expect((await storage.getGroup('g1')).name).toBe('Group');
+    expect(await storage.getGroup('missing')).toBeNull();
+
+    await storage.setGroupReadState('g1', 's1', { messageId: 'm1' });
+    await storage.setGroupReadState('g1', 's2', { messageId: 'm2' });
+    await storage.clearGroupReadState('g1', 's2');
+    expect(await storage.getGroupReadState('g1')).toEqual({ s1: { messageId: 'm1' } });
+    expect(await storage.getGroupReadState('missing')).toEqual({});
+  });
+
+  test('queues deliveries per session and drains them once', async () => {
+    await storage.enqueueDelivery('s1', { message: { type: 'a' }, expiresAt: Date.now() + 1000 });
+    await storage.enqueueDelivery('s1', { message: { type: 'b' }, expiresAt: Date.now() + 1000 });
+    await storage.enqueueDelivery('s2', { message: { type: 'c' }, expiresAt: Date.now() + 1000 });
+
+    expect(await storage.countDeliveries()).toBe(3);
+    expect((await storage.takeDeliveries('s1')).map(item => item.message.type)).toEqual(['a', 'b']);
+    expect(await storage.takeDeliveries('s1')).toEqual([]);
+    expect(await storage.countDeliveries()).toBe(1);
+  });
+
+  test('purges expired deliveries', async () => {
+    const now = Date.now();
+    await storage.enqueueDelivery('s1', { message: { type: 'old' }, expiresAt: now - 1 });
+    await storage.enqueueDelivery('s1', { message: { type: 'new' }, expiresAt: now + 1000 });
+    await storage.enqueueDelivery('s2', { message: { type: 'old' }, expiresAt: now - 1 });
+
+    await storage.purgeExpiredDeliveries(now);
+
+    expect((await storage.takeDeliveries('s1')).map(item => item.message.type)).toEqual(['new']);
+    expect(await storage.takeDeliveries('s2')).toEqual([]);
+  });
+
+  test('remembers revoked tokens until they expire', async () => {
+    const now = Date.now();
+    expect(await storage.revokeToken('jti-1', now + 60000)).toBe(true);
+    expect(await storage.revokeToken('jti-1', now + 60000)).toBe(false);
+    expect(await storage.isTokenRevoked('jti-1')).toBe(true);
+    expect(await storage.isTokenRevoked('jti-2')).toBe(false);
+
+    await storage.revokeToken('jti-old', now - 1);
+    await storage.purgeExpiredAuthState(now);
+    expect(await storage.isTokenRevoked('jti-old')).toBe(false);
+    expect(await storage.isTokenRevoked('jti-1')).toBe(true);
+  });
+
+  test('hands out an auth challenge only once', async () => {
+    const expiresAt = Date.now() + 60000;
+    await storage.saveAuthChallenge('challenge-1', expiresAt);
+
+    expect(await storage.takeAuthChallenge('challenge-1')).toBe(expiresAt);
+    expect(await storage.takeAuthChallenge('challenge-1')).toBeNull();
+    expect(await storage.takeAuthChallenge('unknown')).toBeNull();
+  });
+
+  test('hands a lease to one owner at a time', async () => {
+    expect(await storage.claimLease('sweep', 'node-a', 200)).toBe(true);
+    expect(await storage.claimLease('sweep', 'node-b', 200)).toBe(false);
+    expect(await storage.claimLease('sweep', 'node-a', 200)).toBe(true);
+    expect(await storage.claimLease('other', 'node-b', 200)).toBe(true);
+
+    // An owner that stops renewing loses the lease once it expires
+    await new Promise(resolve => setTimeout(resolve, 250));
+    expect(await storage.claimLease('sweep', 'node-b', 200)).toBe(true);
+    expect(await storage.claimLease('sweep', 'node-a', 200)).toBe(false);
+  });
+
+  test('binds a session key only once', async () => {
+    expect(await storage.getSessionKey('s1')).toBeNull();
+    expect(await storage.bindSessionKey('s1', 'key-a')).toBe('key-a');
+    expect(await storage.bindSessionKey('s1', 'key-b')).toBe('key-a');
+    expect(await storage.getSessionKey('s1')).toBe('key-a');
+  });
+});
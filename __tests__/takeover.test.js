@@ -0,0 +1,148 @@
+/**
+ * Duplicate connection and session takeover policy tests
+ */
+
+const { startTestServer, createKeyPair, connectAs, makeContacts, TestClient, signChallenge } = require('./helpers/client');
+
+// Start a fresh server module with the given SESSION_TAKEOVER_POLICY for the enclosing describe
+function usePolicy(policy) {
+  const context = {};
+
+  beforeAll(async () => {
+    jest.resetModules();
+    process.env.SESSION_TAKEOVER_POLICY = policy;
+    context.server = await startTestServer();
+  });
+
+  afterAll(async () => {
+    delete process.env.SESSION_TAKEOVER_POLICY;
+    await context.server.stop();
+  });
+
+  return context;
+}
+
+function closeCode(client) {
+  return new Promise(resolve => client.ws.once('close', code => resolve(code)));
+}
+
+async function listDevices(client) {
+  client.send('devices_list');
+  return (await client.next('devices')).data.devices;
+}
+
+describe('takeover policy', () => {
+  const context = usePolicy('takeover');
+
+  test('replaces the old connection of the same device', async () => {
+    const keys = createKeyPair();
+    const oldPhone = await connectAs(context.server.url, 'takeover-alice-1', keys, { deviceId: 'phone' });
+    const closed = closeCode(oldPhone);
+
+    const newPhone = await connectAs(context.server.url, 'takeover-alice-1', keys, { deviceId: 'phone' });
+
+    const notice = await oldPhone.next('session_replaced');
+    expect(notice.data).toEqual({ sessionId: 'takeover-alice-1', deviceId: 'phone' });
+    expect(await closed).toBe(4003);
+
+    // The old socket's close handler must not unregister the new one
+    const bob = await connectAs(context.server.url, 'takeover-bob-1');
+    bob.send('message_send', { id: 'after-takeover-1', recipientId: 'takeover-alice-1', content: 'still there?' });
+    expect((await newPhone.next('message_received')).data.id).toBe('after-takeover-1');
+    expect((await listDevices(newPhone))[0]).toMatchObject({ deviceId: 'phone', online: true });
+
+    await bob.close();
+    await newPhone.close();
+  });
+
+  test('keeps the session online for contacts across a takeover', async () => {
+    const keys = createKeyPair();
+    const oldPhone = await connectAs(context.server.url, 'takeover-alice-2', keys, { deviceId: 'phone' });
+    const bob = await connectAs(context.server.url, 'takeover-bob-2');
+    await makeContacts(oldPhone, bob);
+
+    const closed = closeCode(oldPhone);
+    const newPhone = await connectAs(context.server.url, 'takeover-alice-2', keys, { deviceId: 'phone' });
+    await closed;
+
+    expect(await bob.expectNone('contact_offline')).toBe(true);
+    expect(await bob.expectNone('contact_online')).toBe(true);
+
+    await newPhone.close();
+    expect((await bob.next('contact_offline')).data.sessionId).toBe('takeover-alice-2');
+
+    await bob.close();
+  });
+
+  test('leaves other devices of the session connected', async () => {
+    const keys = createKeyPair();
+    const phone = await connectAs(context.server.url, 'takeover-alice-3', keys, { deviceId: 'phone' });
+    const tablet = await connectAs(context.server.url, 'takeover-alice-3', keys, { deviceId: 'tablet' });
+
+    expect(await phone.expectNone('session_replaced')).toBe(true);
+
+    await phone.close();
+    await tablet.close();
+  });
+});
+
+describe('reject policy', () => {
+  const context = usePolicy('reject');
+
+  test('refuses a second connection of a connected device', async () => {
+    const keys = createKeyPair();
+    const phone = await connectAs(context.server.url, 'reject-alice-1', keys, { deviceId: 'phone' });
+
+    const duplicate = await new TestClient(context.server.url).open();
+    const challenge = await duplicate.next('auth_challenge');
+    duplicate.send('auth', {
+      sessionId: 'reject-alice-1',
+      publicKey: keys.publicKey,
+      signature: signChallenge(keys.privateKey, challenge.data.challenge),
+      deviceId: 'phone'
+    });
+    expect((await duplicate.next('auth_failed')).data.reason).toBe('already_connected');
+
+    // A fresh challenge lets the device retry once the other connection is gone
+    const retry = await duplicate.next('auth_challenge');
+    expect(await phone.expectNone('session_replaced')).toBe(true);
+    await phone.close();
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    duplicate.send('auth', {
+      sessionId: 'reject-alice-1',
+      publicKey: keys.publicKey,
+      signature: signChallenge(keys.privateKey, retry.data.challenge),
+      deviceId: 'phone'
+    });
+    expect((await duplicate.next('auth_success')).data.deviceId).toBe('phone');
+
+    await duplicate.close();
+  });
+});
+
+describe('coexist policy', () => {
+  const context = usePolicy('coexist');
+
+  test('keeps both connections and survives the older one closing', async () => {
+    const keys = createKeyPair();
+    const first = await connectAs(context.server.url, 'coexist-alice-1', keys, { deviceId: 'phone' });
+    const second = await connectAs(context.server.url, 'coexist-alice-1', keys, { deviceId: 'phone' });
+    const bob = await connectAs(context.server.url, 'coexist-bob-1');
+
+    bob.send('message_send', { id: 'coexist-1', recipientId: 'coexist-alice-1', content: 'to both' });
+    expect((await first.next('message_received')).data.id).toBe('coexist-1');
+    expect((await second.next('message_received')).data.id).toBe('coexist-1');
+
+    // Closing the older socket must not take the newer one's registration with it
+    await first.close();
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    bob.send('message_send', { id: 'coexist-2', recipientId: 'coexist-alice-1', content: 'still here' });
+    expect((await second.next('message_received')).data.id).toBe('coexist-2');
+    expect((await listDevices(second))[0]).toMatchObject({ deviceId: 'phone', online: true });
+
+    await bob.close();
+    await second.close();
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * Access token issuance and validation tests
+ */
+
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const { startTestServer, createKeyPair, signChallenge, TestClient, connectAs } = require('./helpers/client');
+
+let serverModule;
+
+beforeAll(async () => {
+  process.env.OPERATOR_USERNAME = 'operator';
+  process.env.OPERATOR_PASSWORD_HASH = bcrypt.hashSync('correct horse', 4);
+  serverModule = await startTestServer();
+});
+
+afterAll(async () => {
+  await serverModule.stop();
+});
+
+async function sessionTokens(sessionId, keys = createKeyPair()) {
+  const { body: challenge } = await request(serverModule.app).get('/auth/challenge');
+  return request(serverModule.app)
+    .post('/auth/token')
+    .send({
+      sessionId,
+      publicKey: keys.publicKey,
+      challenge: challenge.challenge,
+      signature: signChallenge(keys.privateKey, challenge.challenge)
+    });
+}
+
+async function operatorTokens() {
+  const { body } = await request(serverModule.app)
+    .post('/auth/token')
+    .send({ username: 'operator', password: 'correct horse' });
+  return body;
+}
+
+describe('token issuance', () => {
+  test('issues session tokens for a signed challenge', async () => {
+    const response = await sessionTokens('tokens-http');
+
+    expect(response.status).toBe(200);
+    expect(response.body.accessToken).toBeDefined();
+    expect(response.body.refreshToken).toBeDefined();
+    expect(response.body.tokenType).toBe('Bearer');
+  });
+
+  test('rejects a challenge that was already used', async () => {
+    const keys = createKeyPair();
+    const { body: challenge } = await request(serverModule.app).get('/auth/challenge');
+    const payload = {
+      sessionId: 'tokens-reused',
+      publicKey: keys.publicKey,
+      challenge: challenge.challenge,
+      signature: signChallenge(keys.privateKey, challenge.challenge)
+    };
+
+    expect((await request(serverModule.app).post('/auth/token').send(payload)).status).toBe(200);
+    expect((await request(serverModule.app).post('/auth/token').send(payload)).status).toBe(401);
+  });
+
+  test('rejects wrong operator credentials', async () => {
+    const response = await request(serverModule.app)
+      .post('/auth/token')
+      .send({ username: 'operator', password: 'wrong' });
+
+    expect(response.status).toBe(401);
+  });
+});
+
+describe('operator routes', () => {
+  test('require an operator token', async () => {
+    expect((await request(serverModule.app).get('/stats')).status).toBe(401);
+    expect((await request(serverModule.app).get('/logs')).status).toBe(401);
+    expect((await request(serverModule.app).get('/live-monitor')).status).toBe(401);
+  });
+
+  test('reject session tokens', async () => {
+    const { body } = await sessionTokens('tokens-not-operator');
+    const response = await request(serverModule.app)
+      .get('/stats')
+      .set('Authorization', `Bearer ${body.accessToken}`);
+
+    expect(response.status).toBe(401);
+  });
+
+  test('accept an operator token in the header or query string', async () => {
+    const { accessToken } = await operatorTokens();
+
+    const stats = await request(serverModule.app)
+      .get('/stats')
+      .set('Authorization', `Bearer ${accessToken}`);
+    expect(stats.status).toBe(200);
+
+    const monitor = await request(serverModule.app).get(`/live-monitor?token=${accessToken}`);
+    expect(monitor.status).toBe(200);
+  });
+});
+
+describe('refresh and revocation', () => {
+  test('rotates the refresh token', async () => {
+    const { body: issued } = await sessionTokens('tokens-refresh');
+
+    const refreshed = await request(serverModule.app)
+      .post('/auth/refresh')
+      .send({ refreshToken: issued.refreshToken });
+    expect(refreshed.status).toBe(200);
+    expect(refreshed.body.accessToken).toBeDefined();
+
+    const replayed = await request(serverModule.app)
+      .post('/auth/refresh')
+      .send({ refreshToken: issued.refreshToken });
+    expect(replayed.status).toBe(401);
+  });
+
+  test('lets only one of two concurrent refreshes with the same token succeed', async () => {
+    const { body: issued } = await sessionTokens('tokens-refresh-race');
+
+    const responses = await Promise.all([1, 2].map(() => request(serverModule.app)
+      .post('/auth/refresh')
+      .send({ refreshToken: issued.refreshToken })));
+    expect(responses.map(response => response.status).sort()).toEqual([200, 401]);
+  });
+
+  test('rejects an access token where a refresh token is expected', async () => {
+    const { body: issued } = await sessionTokens('tokens-wrong-type');
+    const response = await request(serverModule.app)
+      .post('/auth/refresh')
+      .send({ refreshToken: issued.accessToken });
+
+    expect(response.status).toBe(401);
+  });
+
+  test('revoked operator tokens stop working', async () => {
+    const { accessToken } = await operatorTokens();
+
+    await request(serverModule.app).post('/auth/revoke').send({ token: accessToken }).expect(200);
+
+    const response = await request(serverModule.app)
+      .get('/stats')
+      .set('Authorization', `Bearer ${accessToken}`);
+    expect(response.status).toBe(401);
+  });
+});
+
+describe('WebSocket auth with tokens', () => {
+  test('auth_success carries tokens that can be used to reconnect', async () => {
+    const keys = createKeyPair();
+    const first = await new TestClient(serverModule.url).open();
+    const challenge = await first.next('auth_challenge');
+    first.send('auth', {
+      sessionId: 'tokens-ws',
+      publicKey: keys.publicKey,
+      signature: signChallenge(keys.privateKey, challenge.data.challenge)
+    });
+    const success = await first.next('auth_success');
+    await first.close();
+
+    const second = await new TestClient(serverModule.url).open();
+    second.send('auth', { sessionId: 'tokens-ws', token: success.data.accessToken });
+    await second.next('auth_success');
+    await second.close();
+  });
+
+  test('rejects a token issued for another session', async () => {
+    const { body } = await sessionTokens('tokens-owner');
+    const client = await new TestClient(serverModule.url).open();
+
+    client.send('auth', { sessionId: 'tokens-someone-else', token: body.accessToken });
+    const failure = await client.next('auth_failed');
+    expect(failure.data.reason).toBe('invalid_token');
+
+    await client.close();
+  });
+
+  test('rejects a revoked token', async () => {
+    const { body } = await sessionTokens('tokens-revoked');
+    await request(serverModule.app).post('/auth/revoke').send({ token: body.accessToken }).expect(200);
+
+    const client = await new TestClient(serverModule.url).open();
+    client.send('auth', { sessionId: 'tokens-revoked', token: body.accessToken });
+    const failure = await client.next('auth_failed');
+    expect(failure.data.reason).toBe('invalid_token');
+
+    await client.close();
+  });
+
+  test('monitor connections require an operator token', async () => {
+    const client = await connectAs(serverModule.url, 'tokens-monitor-user');
+    client.send('monitor_auth', { monitorId: 'monitor-1' });
+    expect((await client.next('auth_failed')).data.reason).toBe('invalid_token');
+    await client.close();
+
+    const { accessToken } = await operatorTokens();
+    const monitor = await new TestClient(serverModule.url).open();
+    monitor.send('monitor_auth', { monitorId: 'monitor-2', token: accessToken });
+    await monitor.next('monitor_auth_success');
+    await monitor.close();
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Typing indicator tracking tests
+ */
+
+const { startTestServer, connectAs } = require('./helpers/client');
+
+let serverModule;
+
+beforeAll(async () => {
+  process.env.TYPING_TIMEOUT = '300';
+  serverModule = await startTestServer();
+});
+
+afterAll(async () => {
+  delete process.env.TYPING_TIMEOUT;
+  await serverModule.stop();
+});
+
+describe('typing indicators', () => {
+  test('coalesces repeated starts into one indicator', async () => {
+    const alice = await connectAs(serverModule.url, 'typing-alice-1');
+    const bob = await connectAs(serverModule.url, 'typing-bob-1');
+
+    for (let i = 0; i < 3; i++) {
+      alice.send('typing_indicator', { recipientId: 'typing-bob-1', isTyping: true });
+    }
+
+    expect((await bob.next('typing_indicator')).data).toEqual({ sessionId: 'typing-alice-1', activity: 'typing', isTyping: true });
+    expect(await bob.expectNone('typing_indicator', msg => msg.data.isTyping, 100)).toBe(true);
+
+    alice.send('typing_indicator', { recipientId: 'typing-bob-1', isTyping: false });
+    expect((await bob.next('typing_indicator')).data.isTyping).toBe(false);
+
+    // Stopping again has nothing to stop
+    alice.send('typing_indicator', { recipientId: 'typing-bob-1', isTyping: false });
+    expect(await bob.expectNone('typing_indicator')).toBe(true);
+
+    await alice.close();
+    await bob.close();
+  });
+
+  test('expires an indicator that is not refreshed', async () => {
+    const alice = await connectAs(serverModule.url, 'typing-alice-2');
+    const bob = await connectAs(serverModule.url, 'typing-bob-2');
+
+    alice.send('typing_indicator', { recipientId: 'typing-bob-2', isTyping: true });
+    await bob.next('typing_indicator');
+
+    // A refresh pushes the expiry back
+    await new Promise(resolve => setTimeout(resolve, 200));
+    alice.send('typing_indicator', { recipientId: 'typing-bob-2', isTyping: true });
+    expect(await bob.expectNone('typing_indicator', () => true, 200)).toBe(true);
+
+    const stopped = await bob.next('typing_indicator', () => true, 1000);
+    expect(stopped.data).toEqual({ sessionId: 'typing-alice-2', activity: 'typing', isTyping: false });
+
+    await alice.close();
+    await bob.close();
+  });
+
+  test('stops indicators when the typing connection disconnects', async () => {
+    const alice = await connectAs(serverModule.url, 'typing-alice-3');
+    const bob = await connectAs(serverModule.url, 'typing-bob-3');
+
+    alice.send('typing_indicator', { recipientId: 'typing-bob-3', isTyping: true });
+    await bob.next('typing_indicator');
+
+    await alice.close();
+    expect((await bob.next('typing_indicator', () => true, 200)).data.isTyping).toBe(false);
+
+    await bob.close();
+  });
+
+  test('forwards a change of activity', async () => {
+    const alice = await connectAs(serverModule.url, 'typing-alice-4');
+    const bob = await connectAs(serverModule.url, 'typing-bob-4');
+
+    alice.send('typing_indicator', { recipientId: 'typing-bob-4', isTyping: true });
+    await bob.next('typing_indicator');
+
+    alice.send('typing_indicator', { recipientId: 'typing-bob-4', isTyping: true, activity: 'recording_audio' });
+    expect((await bob.next('typing_indicator')).data).toEqual({
+      sessionId: 'typing-alice-4',
+      activity: 'recording_audio',
+      isTyping: true
+    });
+
+    alice.send('typing_indicator', { recipientId: 'typing-bob-4', isTyping: true, activity: 'dancing' });
+    expect((await alice.next('error')).data.code).toBe('VALIDATION');
+
+    await alice.close();
+    await bob.close();
+  });
+
+  test('expires group indicators for every member', async () => {
+    const owner = await connectAs(serverModule.url, 'typing-owner-5');
+    const bob = await connectAs(serverModule.url, 'typing-bob-5');
+    const carol = await connectAs(serverModule.url, 'typing-carol-5');
+
+    owner.send('group_create', { id: 'typing-group-5', name: 'Typing', memberIds: ['typing-bob-5', 'typing-carol-5'] });
+    await owner.next('group_updated');
+
+    owner.send('typing_indicator', { groupId: 'typing-group-5', isTyping: true });
+    for (const member of [bob, carol]) {
+      expect((await member.next('typing_indicator')).data).toMatchObject({ groupId: 'typing-group-5', isTyping: true });
+    }
+    for (const member of [bob, carol]) {
+      expect((await member.next('typing_indicator', () => true, 1000)).data).toMatchObject({ groupId: 'typing-group-5', isTyping: false });
+    }
+
+    await owner.close();
+    await bob.close();
+    await carol.close();
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Inbound message schema validation tests
+ */
+
+const { startTestServer, connectAs, TestClient } = require('./helpers/client');
+
+let serverModule;
+let client;
+
+beforeAll(async () => {
+  process.env.MAX_CONTENT_LENGTH = '20';
+  process.env.MAX_METADATA_BYTES = '64';
+  serverModule = await startTestServer();
+  client = await connectAs(serverModule.url, 'validation-alice');
+});
+
+afterAll(async () => {
+  await client.close();
+  await serverModule.stop();
+});
+
+// Send a message and return the validation error it produced
+async function rejection(type, data, requestId) {
+  client.send(type, data, { requestId });
+  const error = await client.next('error', msg => msg.requestId === requestId);
+  expect(error.data.code).toBe('VALIDATION');
+  return error.data.errors;
+}
+
+describe('message validation', () => {
+  test('rejects a message without a data object', async () => {
+    expect(await rejection('message_send', undefined, 'no-data')).toEqual([
+      { field: 'data', message: 'must be an object' }
+    ]);
+    expect(await rejection('message_send', 'text', 'string-data')).toEqual([
+      { field: 'data', message: 'must be an object' }
+    ]);
+  });
+
+  test('reports every missing required field', async () => {
+    expect(await rejection('group_set_role', {}, 'missing-fields')).toEqual([
+      { field: 'groupId', message: 'is required' },
+      { field: 'memberId', message: 'is required' },
+      { field: 'role', message: 'is required' }
+    ]);
+  });
+
+  test('rejects wrong types and empty required strings', async () => {
+    expect(await rejection('typing_indicator', { recipientId: 'bob', isTyping: 'yes' }, 'wrong-type')).toEqual([
+      { field: 'isTyping', message: 'must be a boolean' }
+    ]);
+    expect(await rejection('group_info', { groupId: '' }, 'empty-string')).toEqual([
+      { field: 'groupId', message: 'must not be empty' }
+    ]);
+    expect(await rejection('history_request', { peerId: 'bob', limit: 1.5 }, 'not-integer')).toEqual([
+      { field: 'limit', message: 'must be an integer' }
+    ]);
+    expect(await rejection('history_request', { peerId: 'bob', limit: 0 }, 'below-min')).toEqual([
+      { field: 'limit', message: 'must be at least 1' }
+    ]);
+  });
+
+  test('enforces content and metadata size limits', async () => {
+    const errors = await rejection('message_send', {
+      id: 'too-big',
+      recipientId: 'bob',
+      content: 'x'.repeat(21),
+      metadata: { blob: 'y'.repeat(64) }
+    }, 'too-big');
+
+    expect(errors).toEqual([
+      { field: 'content', message: 'must be at most 20 characters' },
+      { field: 'metadata', message: 'must be at most 64 bytes when serialized' }
+    ]);
+    expect(await serverModule.storage.findMessage('too-big')).toBeNull();
+
+    expect(await rejection('message_edit', { messageId: 'm1', content: 'x'.repeat(21) }, 'edit-too-big')).toEqual([
+      { field: 'content', message: 'must be at most 20 characters' }
+    ]);
+  });
+
+  test('rejects values outside an enum and reserved message types', async () => {
+    expect(await rejection('message_delete', { messageId: 'm1', scope: 'all' }, 'bad-scope')).toEqual([
+      { field: 'scope', message: 'must be one of: me, everyone' }
+    ]);
+    expect(await rejection('message_send', { id: 'spoof', recipientId: 'bob', messageType: 'system' }, 'system-type')).toEqual([
+      { field: 'messageType', message: "must not be 'system'" }
+    ]);
+  });
+
+  test('checks array items and length', async () => {
+    expect(await rejection('message_ack', { messageIds: ['m1', 2] }, 'bad-item')).toEqual([
+      { field: 'messageIds', message: 'items must be a string' }
+    ]);
+    expect(await rejection('message_ack', { messageIds: Array(501).fill('m') }, 'too-many')).toEqual([
+      { field: 'messageIds', message: 'must have at most 500 items' }
+    ]);
+  });
+
+  test('requires exactly one recipient field', async () => {
+    expect(await rejection('message_send', { id: 'nowhere', content: 'hi' }, 'no-target')).toEqual([
+      { field: 'recipientId|groupId', message: 'exactly one of recipientId, groupId is required' }
+    ]);
+    expect(await rejection('message_send', { id: 'both', recipientId: 'bob', groupId: 'g1' }, 'two-targets')).toEqual([
+      { field: 'recipientId|groupId', message: 'exactly one of recipientId, groupId is required' }
+    ]);
+  });
+
+  test('validates auth before the handshake', async () => {
+    const anonymous = await new TestClient(serverModule.url).open();
+    await anonymous.next('auth_challenge');
+
+    anonymous.send('auth', { publicKey: 'abc' }, { requestId: 'no-session' });
+    const error = await anonymous.next('error');
+    expect(error.requestId).toBe('no-session');
+    expect(error.data.errors).toEqual([{ field: 'sessionId', message: 'is required' }]);
+
+    await anonymous.close();
+  });
+
+  test('passes valid messages through to their handlers', async () => {
+    client.send('message_send', { id: 'valid-1', recipientId: 'validation-bob', content: 'hello', metadata: { a: 1 } });
+    expect(await client.expectNone('error')).toBe(true);
+    expect(await serverModule.storage.findMessage('valid-1')).not.toBeNull();
+  });
+});
@@ -0,0 +1,16 @@
+// Cluster backend selection (CLUSTER_BACKEND=local|redis)
+const { createLocalCluster } = require('./local');
+const { createRedisCluster } = require('./redis');
+
+function createCluster(backend = process.env.CLUSTER_BACKEND || 'local', options = {}) {
+  switch (backend) {
+    case 'local':
+      return createLocalCluster();
+    case 'redis':
+      return createRedisCluster(options);
+    default:
+      throw new Error(`Unknown cluster backend: ${backend}`);
+  }
+}
+
+module.exports = { createCluster, createLocalCluster, createRedisCluster };
@@ -0,0 +1,39 @@
+// Single-process cluster: every session is connected to this node
+
+function createLocalCluster() {
+  const sessions = new Set();
+
+  return {
+    name: 'local',
+    nodeId: 'local',
+
+    async connect() {},
+
+    async close() {},
+
+    async registerSession(sessionId) {
+      sessions.add(sessionId);
+    },
+
+    async unregisterSession(sessionId) {
+      sessions.delete(sessionId);
+    },
+
+    async locateSession(sessionId) {
+      return sessions.has(sessionId) ? [this.nodeId] : [];
+    },
+
+    async listOnlineSessions() {
+      return Array.from(sessions);
+    },
+
+    async filterOnlineSessions(sessionIds) {
+      return sessionIds.filter(sessionId => sessions.has(sessionId));
+    },
+
+    // Nothing to route to: there are no other nodes
+    async publish() {}
+  };
+}
+
+module.exports = { createLocalCluster };
@@ -0,0 +1,146 @@
+// Redis cluster: shared presence registry plus one pub/sub channel per node
+const { createClient } = require('redis');
+const { v4: uuidv4 } = require('uuid');
+
+// session-nodes maps each session to a JSON array of the nodes holding one of its connections
+const ADD_NODE_SCRIPT = `
+local nodes = {}
+local current = redis.call('HGET', KEYS[1], ARGV[1])
+if current then nodes = cjson.decode(current) end
+for _, node in ipairs(nodes) do
+  if node == ARGV[2] then return 0 end
+end
+table.insert(nodes, ARGV[2])
+redis.call('HSET', KEYS[1], ARGV[1], cjson.encode(nodes))
+return 1`;
+
+// Remove a node from a session's entry, dropping the entry once no node is left
+const RELEASE_SESSION_SCRIPT = `
+local current = redis.call('HGET', KEYS[1], ARGV[1])
+if not current then return 0 end
+local nodes = {}
+for _, node in ipairs(cjson.decode(current)) do
+  if node ~= ARGV[2] then table.insert(nodes, node) end
+end
+if #nodes == 0 then return redis.call('HDEL', KEYS[1], ARGV[1]) end
+redis.call('HSET', KEYS[1], ARGV[1], cjson.encode(nodes))
+return 1`;
+
+function createRedisCluster(options = {}) {
+  const url = options.url || process.env.REDIS_URL || 'redis://localhost:6379';
+  const prefix = options.prefix || process.env.REDIS_PREFIX || 'askless:';
+  const nodeId = options.nodeId || process.env.NODE_ID || uuidv4();
+  const nodeTtl = options.nodeTtl || parseInt(process.env.CLUSTER_NODE_TTL) || 15000; // 15 seconds
+  const onError = options.onError || (error => console.error(`Redis error: ${error.message}`));
+
+  const client = createClient({ url });
+  const subscriber = client.duplicate();
+  client.on('error', onError);
+  subscriber.on('error', onError);
+
+  const key = (...parts) => prefix + parts.join(':');
+  const localSessions = new Set();
+  let nodeTimer = null;
+
+  // A node is alive while its heartbeat key exists; crashed nodes simply expire
+  async function refreshNode() {
+    await client.set(key('node', nodeId), Date.now().toString(), { PX: nodeTtl });
+  }
+
+  async function aliveNodes(nodeIds) {
+    const unique = Array.from(new Set(nodeIds));
+    const alive = await Promise.all(unique.map(id => client.exists(key('node', id))));
+    return new Set(unique.filter((id, index) => alive[index] === 1));
+  }
+
+  return {
+    name: 'redis',
+    nodeId,
+
+    // onDelivery receives { sessionId, message, queueIfOffline } routed here by other nodes
+    async connect(onDelivery) {
+      await client.connect();
+      await subscriber.connect();
+      await subscriber.subscribe(key('deliver', nodeId), (payload) => {
+        onDelivery(JSON.parse(payload));
+      });
+
+      await refreshNode();
+      nodeTimer = setInterval(() => refreshNode().catch(onError), Math.floor(nodeTtl / 3));
+    },
+
+    async close() {
+      clearInterval(nodeTimer);
+
+      if (client.isOpen) {
+        // Hand our sessions back so other nodes stop routing to us during a rolling restart
+        for (const sessionId of localSessions) {
+          await client.eval(RELEASE_SESSION_SCRIPT, { keys: [key('session-nodes')], arguments: [sessionId, nodeId] });
+        }
+        await client.del(key('node', nodeId));
+        await client.quit();
+      }
+
+      if (subscriber.isOpen) {
+        await subscriber.quit();
+      }
+    },
+
+    // Called when the first connection of a session arrives on this node
+    async registerSession(sessionId) {
+      localSessions.add(sessionId);
+      await client.eval(ADD_NODE_SCRIPT, { keys: [key('session-nodes')], arguments: [sessionId, nodeId] });
+    },
+
+    // Called when the last connection of a session on this node goes away
+    async unregisterSession(sessionId) {
+      localSessions.delete(sessionId);
+      await client.eval(RELEASE_SESSION_SCRIPT, { keys: [key('session-nodes')], arguments: [sessionId, nodeId] });
+    },
+
+    // Every live node holding a connection of the session (a session may be on several devices)
+    async locateSession(sessionId) {
+      const entry = await client.hGet(key('session-nodes'), sessionId);
+      if (!entry) {
+        return [];
+      }
+
+      const owners = JSON.parse(entry);
+      const alive = await aliveNodes(owners.filter(owner => owner !== nodeId));
+
+      // Owning nodes that died without cleaning up
+      for (const owner of owners) {
+        if (owner !== nodeId && !alive.has(owner)) {
+          await client.eval(RELEASE_SESSION_SCRIPT, { keys: [key('session-nodes')], arguments: [sessionId, owner] });
+        }
+      }
+
+      return owners.filter(owner => owner === nodeId || alive.has(owner));
+    },
+
+    async listOnlineSessions() {
+      const entries = await client.hGetAll(key('session-nodes'));
+      const owners = Object.fromEntries(Object.entries(entries).map(([sessionId, entry]) => [sessionId, JSON.parse(entry)]));
+      const alive = await aliveNodes([].concat(...Object.values(owners)));
+      return Object.keys(owners).filter(sessionId => owners[sessionId].some(owner => alive.has(owner)));
+    },
+
+    // The given sessions that are online, without reading the whole registry
+    async filterOnlineSessions(sessionIds) {
+      if (sessionIds.length === 0) {
+        return [];
+      }
+
+      const entries = await client.hmGet(key('session-nodes'), sessionIds);
+      const owners = entries.map(entry => (entry ? JSON.parse(entry) : []));
+      const alive = await aliveNodes([].concat(...owners));
+      return sessionIds.filter((sessionId, index) => owners[index].some(owner => alive.has(owner)));
+    },
+
+    async publish(targetNodeId, delivery) {
+      await client.publish(key('deliver', targetNodeId), JSON.stringify(delivery));
+    }
+  };
+}
+
+module.exports = { createRedisCluster };
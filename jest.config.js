@@ -12,7 +12,8 @@ module.exports = {
   testPathIgnorePatterns: [
     '/node_modules/',
     '/dist/',
-    '/build/'
+    '/build/',
+    '/__tests__/helpers/'
   ],
   
   // Coverage settings
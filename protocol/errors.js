@@ -0,0 +1,16 @@
+// Stable error codes sent as data.code on 'error' messages; clients can switch on these
+const ERROR_CODES = [
+  'AUTH_REQUIRED', // the message type needs an authenticated session
+  'INVALID_FORMAT', // the frame is not a JSON message
+  'UNKNOWN_TYPE', // no handler for the message type
+  'UNSUPPORTED_VERSION', // the client's protocol version is too old; the socket is closed
+  'VALIDATION', // the message data does not match its schema
+  'SENDER_MISMATCH', // senderId differs from the authenticated session
+  'FORBIDDEN', // the session may not act on the target
+  'NOT_FOUND', // the target does not exist
+  'CONFLICT', // the request clashes with existing state, e.g. a duplicate invitation
+  'RATE_LIMITED', // too many requests, retry later
+  'INTERNAL' // the server failed while handling the message
+];
+
+module.exports = { ERROR_CODES };
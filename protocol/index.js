@@ -0,0 +1,16 @@
+// WebSocket protocol: message schemas, validation, error codes and version negotiation
+const { createSchemas } = require('./schemas');
+const { createValidator } = require('./validate');
+const { ERROR_CODES } = require('./errors');
+const { PROTOCOL_VERSION, FEATURES, LEGACY_SESSION, negotiate, adaptMessage } = require('./negotiation');
+
+module.exports = {
+  createSchemas,
+  createValidator,
+  ERROR_CODES,
+  PROTOCOL_VERSION,
+  FEATURES,
+  LEGACY_SESSION,
+  negotiate,
+  adaptMessage
+};
@@ -0,0 +1,59 @@
+// Protocol version and feature negotiation ('hello' / 'hello_ack')
+
+// Version 1 is what clients that never send hello speak; version 2 adds batched message_status events
+const PROTOCOL_VERSION = 2;
+
+// Optional features and the server events each one gates
+const FEATURES = {
+  groups: ['group_updated', 'group_read_state'],
+  reactions: ['reaction_updated'],
+  edits: ['message_edited', 'message_deleted'],
+  receipts: ['message_status'],
+  presence: ['presence_update'],
+  devices: ['message_sent'], // copies of messages sent from the session's other devices
+  compression: [] // permessage-deflate on the WebSocket itself
+};
+
+// Clients that never send hello keep getting everything they got before negotiation existed
+const LEGACY_SESSION = {
+  version: 1,
+  features: new Set(['groups', 'reactions', 'edits', 'receipts'])
+};
+
+// Agree on the highest version both sides speak and the features both sides support
+function negotiate({ version, features = [] }, { minVersion, compression }) {
+  if (version < minVersion) {
+    return { error: `Protocol version ${version} is no longer supported (minimum ${minVersion})` };
+  }
+
+  const available = Object.keys(FEATURES).filter(feature => feature !== 'compression' || compression);
+  return {
+    version: Math.min(version, PROTOCOL_VERSION),
+    features: new Set(features.filter(feature => available.includes(feature)))
+  };
+}
+
+// Rewrite an outgoing event for a client's negotiated protocol; returns the messages to send (possibly none)
+function adaptMessage(message, session) {
+  const gatedBy = Object.keys(FEATURES).find(feature => FEATURES[feature].includes(message.type));
+  if (gatedBy && !session.features.has(gatedBy)) {
+    return [];
+  }
+
+  // Group chat and group typing arrive as ordinary events carrying a groupId
+  if (message.data && message.data.groupId && !session.features.has('groups')) {
+    return [];
+  }
+
+  // Version 1 clients expect one status event per message
+  if (session.version < 2 && message.type === 'message_status' && message.data.messageIds.length > 1) {
+    return message.data.messageIds.map(messageId => ({
+      ...message,
+      data: { messageIds: [messageId], messageId, status: message.data.status }
+    }));
+  }
+
+  return [message];
+}
+
+module.exports = { PROTOCOL_VERSION, FEATURES, LEGACY_SESSION, negotiate, adaptMessage };
@@ -0,0 +1,192 @@
+// Declarative schemas for inbound WebSocket messages, keyed by message type.
+// Each field lists its type and constraints; oneOf names fields of which exactly one must be set.
+// Fields not listed are ignored so older servers tolerate newer clients.
+
+const ID = { type: 'string', maxLength: 128 };
+const REQUIRED_ID = { ...ID, required: true };
+
+function createSchemas(limits) {
+  const content = { type: 'string', maxLength: limits.maxContentLength };
+  const metadata = { type: 'object', maxBytes: limits.maxMetadataBytes };
+  const sessionIds = { type: 'array', items: ID, maxItems: limits.maxGroupMembers };
+
+  return {
+    hello: {
+      fields: {
+        version: { type: 'integer', min: 1, required: true },
+        features: { type: 'array', items: { type: 'string', maxLength: 32 }, maxItems: 32 }
+      }
+    },
+    auth: {
+      fields: {
+        sessionId: REQUIRED_ID,
+        publicKey: { type: 'string', maxLength: 128 },
+        signature: { type: 'string', maxLength: 256 },
+        token: { type: 'string', maxLength: 4096 },
+        deviceId: ID,
+        deviceName: { type: 'string', maxLength: 64 }
+      }
+    },
+    monitor_auth: {
+      fields: {
+        monitorId: REQUIRED_ID,
+        token: { type: 'string', maxLength: 4096 }
+      }
+    },
+    invitation_send: {
+      fields: {
+        id: REQUIRED_ID,
+        senderId: ID,
+        senderName: { type: 'string', maxLength: 128 },
+        recipientId: REQUIRED_ID,
+        message: content,
+        metadata
+      }
+    },
+    invitation_accept: {
+      fields: { invitationId: REQUIRED_ID }
+    },
+    invitation_decline: {
+      fields: { invitationId: REQUIRED_ID }
+    },
+    invitation_cancel: {
+      fields: { invitationId: REQUIRED_ID }
+    },
+    invitation_resend: {
+      fields: { invitationId: REQUIRED_ID }
+    },
+    message_send: {
+      fields: {
+        id: REQUIRED_ID,
+        senderId: ID,
+        recipientId: ID,
+        groupId: ID,
+        content,
+        // 'system' is reserved for messages the server posts itself
+        messageType: { type: 'string', maxLength: 32, notIn: ['system'] },
+        metadata,
+        replyToId: ID,
+        mentions: sessionIds
+      },
+      oneOf: ['recipientId', 'groupId']
+    },
+    typing_indicator: {
+      fields: {
+        recipientId: ID,
+        groupId: ID,
+        isTyping: { type: 'boolean', required: true },
+        activity: { type: 'string', enum: limits.typingActivities }
+      },
+      oneOf: ['recipientId', 'groupId']
+    },
+    message_ack: {
+      fields: {
+        messageId: ID,
+        messageIds: { type: 'array', items: ID, maxItems: limits.maxBatchSize }
+      },
+      oneOf: ['messageId', 'messageIds']
+    },
+    message_read: {
+      fields: {
+        messageId: ID,
+        upToMessageId: ID
+      },
+      oneOf: ['messageId', 'upToMessageId']
+    },
+    settings_update: {
+      fields: {
+        readReceipts: { type: 'boolean' },
+        invitationsFromSharedContactsOnly: { type: 'boolean' },
+        lastSeenVisibility: { type: 'string', enum: ['contacts', 'nobody'] }
+      }
+    },
+    status_update: {
+      fields: {
+        statusText: { type: 'string', maxLength: limits.maxStatusTextLength }
+      }
+    },
+    presence_query: {
+      fields: {
+        sessionIds: { type: 'array', items: ID, maxItems: limits.maxBatchSize }
+      }
+    },
+    device_revoke: {
+      fields: { deviceId: REQUIRED_ID }
+    },
+    contact_remove: {
+      fields: { sessionId: REQUIRED_ID }
+    },
+    user_block: {
+      fields: { sessionId: REQUIRED_ID }
+    },
+    user_unblock: {
+      fields: { sessionId: REQUIRED_ID }
+    },
+    user_report: {
+      fields: {
+        sessionId: REQUIRED_ID,
+        groupId: ID,
+        reason: { type: 'string', maxLength: 1000 }
+      }
+    },
+    group_create: {
+      fields: {
+        id: ID,
+        name: { type: 'string', maxLength: 128, required: true },
+        memberIds: sessionIds
+      }
+    },
+    group_add_member: {
+      fields: { groupId: REQUIRED_ID, memberId: REQUIRED_ID }
+    },
+    group_remove_member: {
+      fields: { groupId: REQUIRED_ID, memberId: REQUIRED_ID }
+    },
+    group_set_role: {
+      fields: {
+        groupId: REQUIRED_ID,
+        memberId: REQUIRED_ID,
+        role: { type: 'string', enum: limits.groupRoles, required: true }
+      }
+    },
+    group_info: {
+      fields: { groupId: REQUIRED_ID }
+    },
+    history_request: {
+      fields: {
+        peerId: ID,
+        groupId: ID,
+        before: ID,
+        after: ID,
+        limit: { type: 'integer', min: 1 }
+      },
+      oneOf: ['peerId', 'groupId']
+    },
+    message_edit: {
+      fields: {
+        messageId: REQUIRED_ID,
+        content: { ...content, required: true }
+      }
+    },
+    message_delete: {
+      fields: {
+        messageId: REQUIRED_ID,
+        scope: { type: 'string', enum: ['me', 'everyone'] }
+      }
+    },
+    reaction_add: {
+      fields: {
+        messageId: REQUIRED_ID,
+        emoji: { type: 'string', maxLength: limits.maxReactionLength, required: true }
+      }
+    },
+    reaction_remove: {
+      fields: {
+        messageId: REQUIRED_ID,
+        emoji: { type: 'string', maxLength: limits.maxReactionLength, required: true }
+      }
+    }
+  };
+}
+
+module.exports = { createSchemas };
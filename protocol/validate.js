@@ -0,0 +1,105 @@
+// Checks inbound message data against the schemas in ./schemas
+const { createSchemas } = require('./schemas');
+
+function isSet(value) {
+  return value !== undefined && value !== null;
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+// Returns an error message for a single value, or null if it matches the field spec
+function checkField(spec, value) {
+  const type = typeOf(value);
+  if (type !== spec.type && !(spec.type === 'number' && type === 'integer')) {
+    return `must be ${spec.type === 'integer' || spec.type === 'array' || spec.type === 'object' ? 'an' : 'a'} ${spec.type}`;
+  }
+
+  if (spec.type === 'string') {
+    if (spec.required && value === '') {
+      return 'must not be empty';
+    }
+    if (spec.maxLength && value.length > spec.maxLength) {
+      return `must be at most ${spec.maxLength} characters`;
+    }
+    if (spec.enum && !spec.enum.includes(value)) {
+      return `must be one of: ${spec.enum.join(', ')}`;
+    }
+    if (spec.notIn && spec.notIn.includes(value)) {
+      return `must not be '${value}'`;
+    }
+  }
+
+  if (spec.type === 'integer' && isSet(spec.min) && value < spec.min) {
+    return `must be at least ${spec.min}`;
+  }
+
+  if (spec.type === 'object' && spec.maxBytes && Buffer.byteLength(JSON.stringify(value)) > spec.maxBytes) {
+    return `must be at most ${spec.maxBytes} bytes when serialized`;
+  }
+
+  if (spec.type === 'array') {
+    if (spec.maxItems && value.length > spec.maxItems) {
+      return `must have at most ${spec.maxItems} items`;
+    }
+    for (const item of value) {
+      const error = checkField(spec.items, item);
+      if (error) {
+        return `items ${error}`;
+      }
+    }
+  }
+
+  return null;
+}
+
+// Returns a validate(type, data) function; it returns a list of { field, message } errors or null
+function createValidator(limits) {
+  const schemas = createSchemas(limits);
+
+  return function validate(type, data) {
+    const schema = schemas[type];
+    if (!schema) {
+      return null;
+    }
+
+    if (typeOf(data) !== 'object' || data === null) {
+      return [{ field: 'data', message: 'must be an object' }];
+    }
+
+    const errors = [];
+
+    for (const [field, spec] of Object.entries(schema.fields)) {
+      const value = data[field];
+      if (!isSet(value)) {
+        if (spec.required) {
+          errors.push({ field, message: 'is required' });
+        }
+        continue;
+      }
+
+      const error = checkField(spec, value);
+      if (error) {
+        errors.push({ field, message: error });
+      }
+    }
+
+    if (schema.oneOf) {
+      const present = schema.oneOf.filter(field => isSet(data[field]));
+      if (present.length !== 1) {
+        errors.push({ field: schema.oneOf.join('|'), message: `exactly one of ${schema.oneOf.join(', ')} is required` });
+      }
+    }
+
+    return errors.length > 0 ? errors : null;
+  };
+}
+
+module.exports = { createValidator };
@@ -0,0 +1,58 @@
+// Token-bucket rate limiting (buckets live in this process only)
+
+// Parse "<tokens>/<seconds>": bursts of up to <tokens>, refilled evenly over <seconds>
+function parseRateLimit(value) {
+  const match = /^(\d+)\/(\d+(?:\.\d+)?)$/.exec(String(value).trim());
+  if (!match || parseInt(match[1]) === 0 || parseFloat(match[2]) === 0) {
+    throw new Error(`Invalid rate limit "${value}", expected <tokens>/<seconds>`);
+  }
+
+  const capacity = parseInt(match[1]);
+  return { capacity, refillPerMs: capacity / (parseFloat(match[2]) * 1000) };
+}
+
+function createRateLimiter({ now = Date.now } = {}) {
+  const buckets = new Map(); // key -> { tokens, updatedAt, rule }
+
+  function refill(key, rule, time) {
+    const bucket = buckets.get(key) || { tokens: rule.capacity, updatedAt: time, rule };
+    bucket.tokens = Math.min(rule.capacity, bucket.tokens + (time - bucket.updatedAt) * rule.refillPerMs);
+    bucket.updatedAt = time;
+    buckets.set(key, bucket);
+    return bucket;
+  }
+
+  return {
+    // Take a token from every bucket, or from none if any of them is empty.
+    // Returns { allowed: true } or { allowed: false, key, retryAfter } with retryAfter in ms.
+    consume(checks) {
+      const time = now();
+      const refilled = checks.map(({ key, rule }) => ({ key, bucket: refill(key, rule, time) }));
+
+      const empty = refilled.find(({ bucket }) => bucket.tokens < 1);
+      if (empty) {
+        const retryAfter = Math.ceil((1 - empty.bucket.tokens) / empty.bucket.rule.refillPerMs);
+        return { allowed: false, key: empty.key, retryAfter };
+      }
+
+      refilled.forEach(({ bucket }) => { bucket.tokens -= 1; });
+      return { allowed: true };
+    },
+
+    // Full buckets carry no state worth keeping
+    prune() {
+      const time = now();
+      for (const [key, bucket] of buckets.entries()) {
+        if (refill(key, bucket.rule, time).tokens >= bucket.rule.capacity) {
+          buckets.delete(key);
+        }
+      }
+    },
+
+    size() {
+      return buckets.size;
+    }
+  };
+}
+
+module.exports = { parseRateLimit, createRateLimiter };
@@ -7,7 +7,20 @@ const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
 require('dotenv').config();
+const { createStorage } = require('./storage');
+const { createCluster } = require('./cluster');
+const {
+  createValidator,
+  ERROR_CODES,
+  PROTOCOL_VERSION,
+  LEGACY_SESSION,
+  negotiate,
+  adaptMessage
+} = require('./protocol');
+const { parseRateLimit, createRateLimiter } = require('./ratelimit');
 
 // Create Express app
 const app = express();
@@ -35,14 +48,26 @@ app.use(express.json());
 // Create HTTP server
 const server = http.createServer(app);
 
-// Create WebSocket server
-const wss = new WebSocket.Server({ server });
+// Create WebSocket server (WS_COMPRESSION=true enables permessage-deflate for larger frames)
+const WS_COMPRESSION = process.env.WS_COMPRESSION === 'true';
+const wss = new WebSocket.Server({
+  server,
+  perMessageDeflate: WS_COMPRESSION ? { threshold: 1024 } : false
+});
+
+// Live connection state stays in memory
+const clients = new Map(); // sessionId -> Set of WebSockets, one per connected device
+const typingUsers = new Map(); // sessionId -> Map of conversation key -> active typing indicator
+
+// Messages, invitations, queued deliveries and session keys (STORAGE_BACKEND=memory|redis)
+const storage = createStorage(process.env.STORAGE_BACKEND, {
+  onError: error => log(`Redis error: ${error.message}`, 'ERROR')
+});
 
-// In-memory storage (in production, use Redis or database)
-const clients = new Map(); // sessionId -> WebSocket
-const invitations = new Map(); // invitationId -> invitation
-const messages = new Map(); // conversationId -> messages
-const typingUsers = new Map(); // sessionId -> Set of typing indicators
+// Presence registry and cross-node routing (CLUSTER_BACKEND=local|redis)
+const cluster = createCluster(process.env.CLUSTER_BACKEND, {
+  onError: error => log(`Redis error: ${error.message}`, 'ERROR')
+});
 
 // Logging
 const logFile = process.env.LOG_FILE || 'logs/session-messenger.log';
@@ -51,18 +76,109 @@ if (!fs.existsSync(logDir)) {
     fs.mkdirSync(logDir, { recursive: true });
 }
 
+// Appends are buffered so logging never blocks the event loop
+const logStream = fs.createWriteStream(logFile, { flags: 'a' });
+logStream.on('error', error => console.error(`Log file error: ${error.message}`));
+
 function log(message, type = 'INFO') {
     const timestamp = new Date().toISOString();
     const logEntry = `[${timestamp}] [${type}] ${message}`;
     console.log(logEntry);
     
     // Write to file
-    fs.appendFileSync(logFile, logEntry + '\n');
+    if (!logStream.writableEnded) {
+        logStream.write(logEntry + '\n');
+    }
 }
 
 // Heartbeat interval
 const HEARTBEAT_INTERVAL = parseInt(process.env.HEARTBEAT_INTERVAL) || 30000; // 30 seconds
+const HEARTBEAT_MAX_MISSED = parseInt(process.env.HEARTBEAT_MAX_MISSED) || 2; // unanswered pings before a connection is dropped
+const TYPING_TIMEOUT = parseInt(process.env.TYPING_TIMEOUT) || 10000; // typing stops after 10 seconds without a refresh
+const TYPING_ACTIVITIES = ['typing', 'recording_audio'];
+const PRESENCE_IDLE_AFTER = parseInt(process.env.PRESENCE_IDLE_AFTER) || 5 * 60 * 1000; // 5 minutes without activity
+const PRESENCE_AWAY_AFTER = parseInt(process.env.PRESENCE_AWAY_AFTER) || 15 * 60 * 1000; // 15 minutes without activity
+const MAX_STATUS_TEXT_LENGTH = 140;
 const INVITATION_EXPIRY = parseInt(process.env.INVITATION_EXPIRY) || 24 * 60 * 60 * 1000; // 24 hours
+const MAX_PENDING_INVITATIONS = parseInt(process.env.MAX_PENDING_INVITATIONS) || 20; // per sender
+const INVITATION_DECLINE_COOLDOWN = parseInt(process.env.INVITATION_DECLINE_COOLDOWN) || 24 * 60 * 60 * 1000; // 24 hours
+const INVITATION_RESEND_INTERVAL = parseInt(process.env.INVITATION_RESEND_INTERVAL) || 5 * 60 * 1000; // 5 minutes between sends of one invitation
+const INVITATION_RETENTION = parseInt(process.env.INVITATION_RETENTION) || 7 * 24 * 60 * 60 * 1000; // 7 days after it closed
+const INVITATION_SWEEP_INTERVAL = parseInt(process.env.INVITATION_SWEEP_INTERVAL) || 60000; // 1 minute
+const AUTH_CHALLENGE_TTL = parseInt(process.env.AUTH_CHALLENGE_TTL) || 60000; // 1 minute
+const OFFLINE_QUEUE_TTL = parseInt(process.env.OFFLINE_QUEUE_TTL) || 7 * 24 * 60 * 60 * 1000; // 7 days
+const MAX_GROUP_MEMBERS = parseInt(process.env.MAX_GROUP_MEMBERS) || 256;
+const GROUP_ROLES = ['owner', 'admin', 'member'];
+const HISTORY_PAGE_SIZE = parseInt(process.env.HISTORY_PAGE_SIZE) || 50;
+const HISTORY_MAX_PAGE_SIZE = parseInt(process.env.HISTORY_MAX_PAGE_SIZE) || 200;
+const DELETE_FOR_EVERYONE_WINDOW = parseInt(process.env.DELETE_FOR_EVERYONE_WINDOW) || 60 * 60 * 1000; // 1 hour
+const MAX_REACTION_LENGTH = 16; // a single emoji, including modifiers and joiners
+const MESSAGE_STATUSES = ['sent', 'delivered', 'read'];
+const MAX_CONTENT_LENGTH = parseInt(process.env.MAX_CONTENT_LENGTH) || 10000; // characters
+const MAX_METADATA_BYTES = parseInt(process.env.MAX_METADATA_BYTES) || 4096; // serialized JSON
+const MAX_BATCH_SIZE = 500; // message ids per ack
+const REPORT_MESSAGE_COUNT = 20; // recent messages from the reported session kept with a report
+const MIN_PROTOCOL_VERSION = parseInt(process.env.MIN_PROTOCOL_VERSION) || 1;
+const CLOSE_UNSUPPORTED_VERSION = 4001; // WebSocket close code
+const CLOSE_DEVICE_REVOKED = 4002; // WebSocket close code
+const CLOSE_SESSION_REPLACED = 4003; // WebSocket close code
+
+// What happens when a device authenticates while already connected: reject the new connection,
+// take over from the old one, or keep both
+const SESSION_TAKEOVER_POLICY = process.env.SESSION_TAKEOVER_POLICY || 'takeover';
+if (!['reject', 'takeover', 'coexist'].includes(SESSION_TAKEOVER_POLICY)) {
+  throw new Error(`Invalid SESSION_TAKEOVER_POLICY "${SESSION_TAKEOVER_POLICY}", expected reject, takeover or coexist`);
+}
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true'; // take client IPs from X-Real-IP
+
+// Inbound WebSocket rate limits as <tokens>/<seconds>, per session, per IP and per message type
+const RATE_LIMITS = {
+  session: parseRateLimit(process.env.RATE_LIMIT_SESSION || '60/10'),
+  ip: parseRateLimit(process.env.RATE_LIMIT_IP || '120/10'),
+  types: {
+    message_send: parseRateLimit(process.env.RATE_LIMIT_MESSAGE_SEND || '30/10'),
+    invitation_send: parseRateLimit(process.env.RATE_LIMIT_INVITATION_SEND || '10/60'),
+    invitation_resend: parseRateLimit(process.env.RATE_LIMIT_INVITATION_RESEND || '10/60'),
+    typing_indicator: parseRateLimit(process.env.RATE_LIMIT_TYPING_INDICATOR || '20/10')
+  }
+};
+const RATE_LIMIT_MAX_VIOLATIONS = parseInt(process.env.RATE_LIMIT_MAX_VIOLATIONS) || 10;
+const RATE_LIMIT_VIOLATION_WINDOW = parseInt(process.env.RATE_LIMIT_VIOLATION_WINDOW) || 60000; // 1 minute
+const CLOSE_POLICY_VIOLATION = 1008; // WebSocket close code
+const rateLimiter = createRateLimiter();
+
+// Inbound WebSocket message validation
+const validateMessage = createValidator({
+  maxContentLength: MAX_CONTENT_LENGTH,
+  maxMetadataBytes: MAX_METADATA_BYTES,
+  maxGroupMembers: MAX_GROUP_MEMBERS,
+  maxBatchSize: MAX_BATCH_SIZE,
+  maxReactionLength: MAX_REACTION_LENGTH,
+  maxStatusTextLength: MAX_STATUS_TEXT_LENGTH,
+  typingActivities: TYPING_ACTIVITIES,
+  groupRoles: GROUP_ROLES
+});
+
+// User-adjustable privacy settings and their defaults
+const DEFAULT_USER_SETTINGS = {
+  readReceipts: true,
+  invitationsFromSharedContactsOnly: false,
+  lastSeenVisibility: 'contacts' // or 'nobody', which also reports idle and away as plain online
+};
+
+// Session identity (hex Ed25519 public keys are bound to a session on first successful auth)
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+// Access tokens
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL) || 15 * 60; // 15 minutes (seconds)
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL) || 30 * 24 * 60 * 60; // 30 days (seconds)
+const OPERATOR_USERNAME = process.env.OPERATOR_USERNAME || 'admin';
+const OPERATOR_PASSWORD_HASH = process.env.OPERATOR_PASSWORD_HASH; // bcrypt hash
+
+if (!process.env.JWT_SECRET) {
+  log('JWT_SECRET not set, using a random secret (tokens will not survive a restart)', 'WARNING');
+}
 
 // Utility functions
 function generateConversationId(sessionId1, sessionId2) {
@@ -70,413 +186,2480 @@ function generateConversationId(sessionId1, sessionId2) {
   return crypto.createHash('sha256').update(sorted.join('')).digest('hex');
 }
 
+// Send to every device of the session connected to this node, optionally skipping one device; true if any was open
+function sendToLocalClient(sessionId, message, excludeDeviceId = null) {
+  let delivered = false;
+
+  for (const client of clients.get(sessionId) || []) {
+    if (client.readyState !== WebSocket.OPEN || client.deviceId === excludeDeviceId) {
+      continue;
+    }
+
+    // Events the client did not negotiate are dropped for it, not queued
+    for (const adapted of adaptMessage(message, client.negotiated)) {
+      client.send(JSON.stringify(adapted));
+    }
+    delivered = true;
+  }
+
+  return delivered;
+}
+
+function countLocalConnections() {
+  let count = 0;
+  for (const connections of clients.values()) {
+    count += connections.size;
+  }
+  return count;
+}
+
+// Deliver to the session's devices on every node they are connected to; returns false if it is offline
+async function routeToUser(sessionId, message, queueIfOffline, excludeDeviceId = null) {
+  let delivered = sendToLocalClient(sessionId, message, excludeDeviceId);
+
+  const nodeIds = (await cluster.locateSession(sessionId)).filter(nodeId => nodeId !== cluster.nodeId);
+  for (const nodeId of nodeIds) {
+    // A node queues the message itself if the session dropped there in the meantime, unless a device here got it
+    await cluster.publish(nodeId, { sessionId, message, queueIfOffline: queueIfOffline && !delivered, excludeDeviceId });
+    delivered = true;
+  }
+
+  if (!delivered && queueIfOffline) {
+    await queueDelivery(sessionId, message);
+  }
+  return delivered;
+}
+
 function broadcastToUser(sessionId, message) {
-  const client = clients.get(sessionId);
-  if (client && client.readyState === WebSocket.OPEN) {
-    client.send(JSON.stringify(message));
+  return routeToUser(sessionId, message, false);
+}
+
+// Send now if the user is connected, otherwise hold the message until they reconnect
+function deliverOrQueue(sessionId, message) {
+  return routeToUser(sessionId, message, true);
+}
+
+// Typing indicators: the server tracks who is typing to whom so stale indicators can be stopped for the client
+function typingKey({ recipientId, groupId }) {
+  return groupId ? `group:${groupId}` : recipientId;
+}
+
+function forwardTyping(senderId, indicator, isTyping) {
+  const data = { sessionId: senderId, activity: indicator.activity, isTyping };
+  if (indicator.groupId) {
+    data.groupId = indicator.groupId;
+  }
+
+  return broadcastToUsers(indicator.recipientIds, { type: 'typing_indicator', data });
+}
+
+// Start or refresh an indicator; repeating the current activity only pushes its expiry back
+async function startTyping(senderId, indicator) {
+  if (!typingUsers.has(senderId)) {
+    typingUsers.set(senderId, new Map());
+  }
+
+  const indicators = typingUsers.get(senderId);
+  const key = typingKey(indicator);
+  const current = indicators.get(key);
+  if (current) {
+    clearTimeout(current.timer);
+  }
+
+  indicator.timer = setTimeout(() => {
+    stopTyping(senderId, key).catch(error => log(`Error expiring typing indicator: ${error.message}`, 'ERROR'));
+  }, TYPING_TIMEOUT);
+  indicators.set(key, indicator);
+
+  if (!current || current.activity !== indicator.activity) {
+    await forwardTyping(senderId, indicator, true);
+  }
+}
+
+async function stopTyping(senderId, key) {
+  const indicators = typingUsers.get(senderId);
+  const indicator = indicators && indicators.get(key);
+  if (!indicator) {
+    return;
+  }
+
+  clearTimeout(indicator.timer);
+  indicators.delete(key);
+  if (indicators.size === 0) {
+    typingUsers.delete(senderId);
+  }
+
+  await forwardTyping(senderId, indicator, false);
+}
+
+// Stop every indicator last refreshed from the given connection
+async function stopTypingFrom(senderId, connection) {
+  const indicators = Array.from(typingUsers.get(senderId) || []);
+  for (const [key, indicator] of indicators) {
+    if (indicator.connection === connection) {
+      await stopTyping(senderId, key);
+    }
+  }
+}
+
+// Copy of something a device did, for the session's other devices
+function syncToOtherDevices(sessionId, deviceId, message) {
+  return routeToUser(sessionId, message, false, deviceId);
+}
+
+// Close every connection of a device on this node except keep, sending it the notice first if there is one
+function disconnectLocalDevice(sessionId, { deviceId, code, reason, notice }, keep = null) {
+  for (const client of clients.get(sessionId) || []) {
+    if (client.deviceId !== deviceId || client === keep) {
+      continue;
+    }
+
+    if (notice && client.readyState === WebSocket.OPEN) {
+      client.send(JSON.stringify(notice));
+    }
+    client.close(code, reason);
+  }
+}
+
+// Close a device's connections on every node it is connected to
+async function disconnectDevice(sessionId, disconnect, keep = null) {
+  disconnectLocalDevice(sessionId, disconnect, keep);
+
+  const nodeIds = (await cluster.locateSession(sessionId)).filter(nodeId => nodeId !== cluster.nodeId);
+  for (const nodeId of nodeIds) {
+    await cluster.publish(nodeId, { sessionId, disconnect });
+  }
+}
+
+// Deliveries published to this node by other nodes
+async function handleRoutedDelivery({ sessionId, message, queueIfOffline, excludeDeviceId, disconnect }) {
+  try {
+    if (disconnect) {
+      disconnectLocalDevice(sessionId, disconnect);
+      return;
+    }
+
+    if (!sendToLocalClient(sessionId, message, excludeDeviceId) && queueIfOffline) {
+      await queueDelivery(sessionId, message);
+    }
+  } catch (error) {
+    log(`Error handling routed delivery for ${sessionId}: ${error.message}`, 'ERROR');
+  }
+}
+
+async function queueDelivery(sessionId, message) {
+  const now = Date.now();
+  await storage.enqueueDelivery(sessionId, {
+    message,
+    queuedAt: now,
+    expiresAt: now + OFFLINE_QUEUE_TTL
+  });
+
+  log(`Queued ${message.type} for offline session: ${sessionId}`, 'QUEUE');
+}
+
+// Deliver everything queued for a session in the order it was sent
+async function flushPendingDeliveries(sessionId) {
+  const queue = await storage.takeDeliveries(sessionId);
+  if (queue.length === 0) {
+    return;
+  }
+
+  const now = Date.now();
+
+  for (const item of queue) {
+    if (item.expiresAt < now) {
+      continue;
+    }
+
+    sendToLocalClient(sessionId, item.message);
   }
+
+  log(`Flushed ${queue.length} queued deliveries for ${sessionId}`, 'QUEUE');
 }
 
 function broadcastToUsers(sessionIds, message) {
-  sessionIds.forEach(sessionId => broadcastToUser(sessionId, message));
+  return Promise.all(sessionIds.map(sessionId => broadcastToUser(sessionId, message)));
 }
 
-// WebSocket connection handler
-wss.on('connection', (ws, req) => {
-  let currentSessionId = null;
-  let heartbeatTimer = null;
+function getGroupRole(group, sessionId) {
+  return group.members[sessionId] ? group.members[sessionId].role : null;
+}
 
-  log('New WebSocket connection', 'CONNECTION');
+// Deliver to every member of a group except the given session
+function deliverToGroup(group, message, excludeIds = []) {
+  const memberIds = Object.keys(group.members).filter(id => !excludeIds.includes(id));
+  return Promise.all(memberIds.map(id => deliverOrQueue(id, message)));
+}
 
-  // Set up heartbeat
-  function startHeartbeat() {
-    heartbeatTimer = setInterval(() => {
-      if (ws.readyState === WebSocket.OPEN) {
-        ws.send(JSON.stringify({ type: 'pong' }));
+// Record a membership change in the group conversation and tell the members (plus anyone just removed)
+async function postGroupSystemMessage(group, event, actorId, details = {}, extraRecipients = []) {
+  const message = {
+    id: uuidv4(),
+    groupId: group.id,
+    senderId: actorId,
+    recipientId: null,
+    content: null,
+    messageType: 'system',
+    timestamp: new Date().toISOString(),
+    status: 'sent',
+    metadata: { event, actorId, ...details }
+  };
+
+  await storage.saveMessage(group.id, message);
+
+  const update = { type: 'group_updated', data: group };
+  const notice = { type: 'message_received', data: message };
+  await deliverToGroup(group, update);
+  await deliverToGroup(group, notice);
+  for (const sessionId of extraRecipients) {
+    await deliverOrQueue(sessionId, update);
+    await deliverOrQueue(sessionId, notice);
+  }
+
+  log(`Group ${group.id}: ${event} by ${actorId}`, 'GROUP');
+}
+
+// One page of a 1:1 (peerId) or group (groupId) conversation the session takes part in
+async function loadHistory(sessionId, { peerId, groupId, before, after, limit }) {
+  if (!peerId === !groupId) {
+    return { error: { code: 'VALIDATION', message: 'Exactly one of peerId or groupId is required' } };
+  }
+
+  if (before && after) {
+    return { error: { code: 'VALIDATION', message: 'Use either before or after, not both' } };
+  }
+
+  let conversationId = null;
+  if (groupId) {
+    const group = await storage.getGroup(groupId);
+    if (!group || !getGroupRole(group, sessionId)) {
+      return { error: { code: 'FORBIDDEN', message: 'Not a member of this group' } };
+    }
+    conversationId = group.id;
+  } else {
+    conversationId = generateConversationId(sessionId, peerId);
+  }
+
+  const pageSize = Math.min(Math.max(parseInt(limit) || HISTORY_PAGE_SIZE, 1), HISTORY_MAX_PAGE_SIZE);
+  const page = await storage.getMessagesPage(conversationId, { before, after, limit: pageSize });
+
+  if (!page) {
+    return { error: { code: 'NOT_FOUND', message: 'Cursor not found in this conversation' } };
+  }
+
+  // Cursors come from the unfiltered page so messages deleted for this session are skipped, not refetched
+  const first = page.messages[0];
+  const last = page.messages[page.messages.length - 1];
+
+  return {
+    history: {
+      conversationId,
+      peerId: peerId || null,
+      groupId: groupId || null,
+      messages: page.messages.filter(msg => !(msg.deletedFor || []).includes(sessionId)),
+      hasMore: page.hasMore,
+      // Pass cursors.before to page further back, cursors.after to catch up on newer messages
+      cursors: {
+        before: first ? first.id : before || null,
+        after: last ? last.id : after || null
       }
-    }, HEARTBEAT_INTERVAL);
+    }
+  };
+}
+
+// Everyone in a message's conversation (current group members for group messages)
+async function getParticipants(message) {
+  if (!message.groupId) {
+    return [message.senderId, message.recipientId];
   }
 
-  // Clean up heartbeat
-  function stopHeartbeat() {
-    if (heartbeatTimer) {
-      clearInterval(heartbeatTimer);
-      heartbeatTimer = null;
+  const group = await storage.getGroup(message.groupId);
+  return group ? Object.keys(group.members) : [];
+}
+
+// Everyone in a message's conversation except the sender
+async function getOtherParticipants(message) {
+  return (await getParticipants(message)).filter(id => id !== message.senderId);
+}
+
+function isPendingInvitation(invitation, now = Date.now()) {
+  return invitation.status === 'pending' && new Date(invitation.expiresAt).getTime() > now;
+}
+
+async function shareContact(sessionId, otherId) {
+  const contacts = await storage.getContacts(sessionId);
+  const otherContacts = new Set((await storage.getContacts(otherId)).map(contact => contact.sessionId));
+  return contacts.some(contact => otherContacts.has(contact.sessionId));
+}
+
+// When an invitation stopped being pending: answered, cancelled or expired
+function invitationClosedAt(invitation) {
+  return new Date(invitation.respondedAt || invitation.cancelledAt || invitation.expiresAt).getTime();
+}
+
+function sendInvitationClosed(ws, invitation) {
+  sendError(ws, 'CONFLICT', 'Invitation is no longer pending', { status: invitation.status });
+}
+
+// Anti-abuse rules for a new invitation; returns { code, message, details } if it must be refused
+async function checkInvitationRules(senderId, recipientId) {
+  if (senderId === recipientId) {
+    return { code: 'VALIDATION', message: 'Cannot invite yourself' };
+  }
+
+  const now = Date.now();
+  const invitations = await storage.listSessionInvitations(senderId);
+  const sent = invitations.filter(invitation => invitation.senderId === senderId);
+
+  const duplicate = sent.find(invitation => invitation.recipientId === recipientId && isPendingInvitation(invitation, now));
+  if (duplicate) {
+    return {
+      code: 'CONFLICT',
+      message: 'An invitation to this session is already pending',
+      details: { invitationId: duplicate.id }
+    };
+  }
+
+  if (sent.filter(invitation => isPendingInvitation(invitation, now)).length >= MAX_PENDING_INVITATIONS) {
+    return { code: 'RATE_LIMITED', message: `At most ${MAX_PENDING_INVITATIONS} invitations can be pending at once` };
+  }
+
+  // After a decline the sender has to wait before asking the same person again
+  const lastDeclinedAt = Math.max(0, ...sent
+    .filter(invitation => invitation.recipientId === recipientId && invitation.status === 'declined')
+    .map(invitation => new Date(invitation.respondedAt).getTime()));
+  if (now - lastDeclinedAt < INVITATION_DECLINE_COOLDOWN) {
+    return {
+      code: 'RATE_LIMITED',
+      message: 'This session recently declined an invitation from you',
+      details: { retryAfter: lastDeclinedAt + INVITATION_DECLINE_COOLDOWN - now }
+    };
+  }
+
+  const settings = await getUserSettings(recipientId);
+  if (settings.invitationsFromSharedContactsOnly && !(await shareContact(senderId, recipientId))) {
+    return { code: 'FORBIDDEN', message: 'This session only accepts invitations from people sharing a contact' };
+  }
+
+  return null;
+}
+
+// Statuses only move forward: sent -> delivered -> read
+function advanceMessageStatus(message, status) {
+  if (MESSAGE_STATUSES.indexOf(status) <= MESSAGE_STATUSES.indexOf(message.status)) {
+    return false;
+  }
+
+  message.status = status;
+  message[`${status}At`] = new Date().toISOString();
+  return true;
+}
+
+// Messages to readerId up to and including the cursor that are not read yet, oldest first.
+// Walks back from the cursor a page at a time and stops at the first message already read,
+// where an earlier receipt left off, so the cost follows the unread messages rather than the history
+async function unreadUpTo(conversationId, cursor, readerId) {
+  const unread = [];
+  let page = { messages: [cursor], hasMore: true };
+
+  while (page.messages.length > 0) {
+    for (const message of page.messages.slice().reverse()) {
+      if (message.recipientId !== readerId) {
+        continue;
+      }
+      if (message.status === 'read') {
+        return unread;
+      }
+      unread.unshift(message);
+    }
+
+    if (!page.hasMore) {
+      break;
     }
+    page = await storage.getMessagesPage(conversationId, { before: page.messages[0].id, limit: HISTORY_PAGE_SIZE });
   }
 
-  // Message handler
-  ws.on('message', (data) => {
-    try {
-      const message = JSON.parse(data);
-      log(`Received message: ${message.type}`, 'MESSAGE');
+  return unread;
+}
 
-      switch (message.type) {
-        case 'auth':
-          handleAuth(ws, message.data);
-          break;
-        case 'monitor_auth':
-          // Special authentication for monitoring connections
-          handleMonitorAuth(ws, message.data);
-          break;
-        case 'invitation_send':
-          if (!currentSessionId) {
-            ws.send(JSON.stringify({
-              type: 'error',
-              data: { message: 'Authentication required' }
-            }));
-            return;
-          }
-          handleInvitationSend(ws, message.data);
-          break;
-        case 'invitation_accept':
-          if (!currentSessionId) {
-            ws.send(JSON.stringify({
-              type: 'error',
-              data: { message: 'Authentication required' }
-            }));
-            return;
-          }
-          handleInvitationAccept(ws, message.data);
-          break;
-        case 'invitation_decline':
-          if (!currentSessionId) {
-            ws.send(JSON.stringify({
-              type: 'error',
-              data: { message: 'Authentication required' }
-            }));
-            return;
-          }
-          handleInvitationDecline(ws, message.data);
-          break;
-        case 'message_send':
-          if (!currentSessionId) {
-            ws.send(JSON.stringify({
-              type: 'error',
-              data: { message: 'Authentication required' }
-            }));
-            return;
-          }
-          handleMessageSend(ws, message.data);
-          break;
-        case 'typing_indicator':
-          if (!currentSessionId) {
-            ws.send(JSON.stringify({
-              type: 'error',
-              data: { message: 'Authentication required' }
-            }));
-            return;
-          }
-          handleTypingIndicator(ws, message.data);
-          break;
-        case 'message_read':
-          if (!currentSessionId) {
-            ws.send(JSON.stringify({
-              type: 'error',
-              data: { message: 'Authentication required' }
-            }));
-            return;
-          }
-          handleMessageRead(ws, message.data);
-          break;
-        case 'ping':
-          ws.send(JSON.stringify({ type: 'pong' }));
-          break;
-        default:
-          log(`Unknown message type: ${message.type}`, 'WARNING');
+// Status update for the sender; messageId is kept for clients that predate batch receipts
+function messageStatusUpdate(messageIds, status) {
+  const data = { messageIds, status };
+  if (messageIds.length === 1) {
+    data.messageId = messageIds[0];
+  }
+  return { type: 'message_status', data };
+}
+
+async function getUserSettings(sessionId) {
+  return { ...DEFAULT_USER_SETTINGS, ...(await storage.getUserSettings(sessionId)) };
+}
+
+// Marks the request being handled on this socket as failed and returns its requestId
+function failCurrentRequest(ws) {
+  const request = ws.currentRequest;
+  if (!request) {
+    return undefined;
+  }
+  request.failed = true;
+  return request.requestId;
+}
+
+function getClientIp(req) {
+  return (TRUST_PROXY && req.headers['x-real-ip']) || req.socket.remoteAddress;
+}
+
+function sendError(ws, code, message, details = {}) {
+  if (!ERROR_CODES.includes(code)) {
+    throw new Error(`Unknown error code: ${code}`);
+  }
+
+  ws.send(JSON.stringify({
+    type: 'error',
+    requestId: failCurrentRequest(ws),
+    data: { code, message, ...details }
+  }));
+}
+
+function createAuthChallenge() {
+  return {
+    value: crypto.randomBytes(32).toString('hex'),
+    expiresAt: Date.now() + AUTH_CHALLENGE_TTL
+  };
+}
+
+// Verify a hex Ed25519 signature over the hex challenge with a raw hex public key
+function verifySessionSignature(publicKey, challenge, signature) {
+  if (!/^[0-9a-f]{64}$/i.test(publicKey) || !/^[0-9a-f]{128}$/i.test(signature)) {
+    return false;
+  }
+
+  try {
+    const key = crypto.createPublicKey({
+      key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(publicKey, 'hex')]),
+      format: 'der',
+      type: 'spki'
+    });
+    return crypto.verify(null, Buffer.from(challenge, 'hex'), key, Buffer.from(signature, 'hex'));
+  } catch (error) {
+    return false;
+  }
+}
+
+// Check a signed challenge against the session's bound key; returns a failure reason or null
+async function verifySessionProof(sessionId, publicKey, signature, challenge) {
+  const normalizedKey = publicKey.toLowerCase();
+  const knownKey = await storage.getSessionKey(sessionId);
+  if (knownKey && knownKey !== normalizedKey) {
+    return 'key_mismatch';
+  }
+
+  if (!verifySessionSignature(publicKey, challenge, signature)) {
+    return 'invalid_signature';
+  }
+
+  // Another connection may have bound a different key since we looked
+  if (!knownKey && await storage.bindSessionKey(sessionId, normalizedKey) !== normalizedKey) {
+    return 'key_mismatch';
+  }
+
+  return null;
+}
+
+// Record a device connecting, keeping the name it was first given unless it sends a new one
+async function registerDevice(sessionId, deviceId, deviceName) {
+  const now = new Date().toISOString();
+  const device = await storage.getDevice(sessionId, deviceId);
+
+  await storage.saveDevice(sessionId, {
+    deviceId,
+    deviceName: deviceName || (device && device.deviceName) || null,
+    firstSeenAt: device ? device.firstSeenAt : now,
+    lastSeenAt: now,
+    online: true
+  });
+}
+
+// Update a device's record unless it has been revoked in the meantime
+async function saveDeviceState(sessionId, deviceId, changes) {
+  const device = await storage.getDevice(sessionId, deviceId);
+  if (device) {
+    await storage.saveDevice(sessionId, { ...device, ...changes });
+  }
+}
+
+// Contacts of the given session that are online on any node; a block hides presence both ways
+async function getOnlineContacts(sessionId) {
+  const blocked = await storage.getBlockedUsers(sessionId);
+  const contacts = (await storage.getContacts(sessionId))
+    .map(contact => contact.sessionId)
+    .filter(id => !blocked.includes(id));
+  return withoutBlockers(sessionId, await cluster.filterOnlineSessions(contacts));
+}
+
+// What contacts may see of a session's presence, honouring its last-seen privacy setting
+function presenceView(sessionId, presence, settings) {
+  const hideActivity = settings.lastSeenVisibility === 'nobody';
+  const state = presence ? presence.state : 'offline';
+
+  return {
+    sessionId,
+    state: hideActivity && state !== 'offline' ? 'online' : state,
+    statusText: (presence && presence.statusText) || null,
+    lastSeen: hideActivity || !presence ? null : presence.lastSeen
+  };
+}
+
+// A session is as present as the most recently active of its devices on this node
+async function publishDevicePresence(sessionId) {
+  const connections = Array.from(clients.get(sessionId) || []).filter(client => client.presenceState);
+  if (connections.length === 0) {
+    return;
+  }
+
+  const mostActive = connections.reduce((best, client) => (client.lastActivityAt > best.lastActivityAt ? client : best));
+  await publishPresence(sessionId, {
+    state: mostActive.presenceState,
+    lastSeen: new Date(mostActive.lastActivityAt).toISOString()
+  });
+}
+
+// Save a session's presence and tell its online contacts if what they can see changed
+async function publishPresence(sessionId, changes) {
+  const previous = await storage.getPresence(sessionId);
+  const presence = { state: 'offline', statusText: null, lastSeen: null, ...previous, ...changes };
+  await storage.savePresence(sessionId, presence);
+
+  const settings = await getUserSettings(sessionId);
+  const view = presenceView(sessionId, presence, settings);
+  if (JSON.stringify(view) === JSON.stringify(presenceView(sessionId, previous, settings))) {
+    return;
+  }
+
+  await broadcastToUsers(await getOnlineContacts(sessionId), {
+    type: 'presence_update',
+    data: view
+  });
+}
+
+// The given sessions minus those that have blocked senderId
+async function withoutBlockers(senderId, sessionIds) {
+  const blockedBy = await Promise.all(sessionIds.map(id => storage.isBlocked(id, senderId)));
+  return sessionIds.filter((id, index) => !blockedBy[index]);
+}
+
+// Extra claims (a session's deviceId) are carried into both tokens
+function issueTokens(subject, role, claims = {}) {
+  const accessToken = jwt.sign({ ...claims, role, type: 'access' }, JWT_SECRET, {
+    subject,
+    expiresIn: ACCESS_TOKEN_TTL,
+    jwtid: uuidv4()
+  });
+  const refreshToken = jwt.sign({ ...claims, role, type: 'refresh' }, JWT_SECRET, {
+    subject,
+    expiresIn: REFRESH_TOKEN_TTL,
+    jwtid: uuidv4()
+  });
+
+  return { accessToken, refreshToken, tokenType: 'Bearer', expiresIn: ACCESS_TOKEN_TTL };
+}
+
+// Returns the token claims, or null if the token is invalid, expired, revoked or of the wrong type
+async function verifyToken(token, type) {
+  if (typeof token !== 'string') {
+    return null;
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(token, JWT_SECRET, { algorithms: ['HS256'] });
+  } catch (error) {
+    return null;
+  }
+
+  if (claims.type !== type || await storage.isTokenRevoked(claims.jti)) {
+    return null;
+  }
+  return claims;
+}
+
+// Revocations live in storage so every node sees them; false if the token was already revoked
+function revokeToken(claims) {
+  return storage.revokeToken(claims.jti, claims.exp * 1000);
+}
+
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice(7);
+  }
+  // Browser pages such as the live monitor can only pass the token in the URL
+  return req.query.token;
+}
+
+// Express middleware for routes acting on behalf of a session
+async function requireSessionToken(req, res, next) {
+  let claims;
+  try {
+    claims = await verifyToken(getBearerToken(req), 'access');
+
+    // Tokens issued to a device stop working once the device is revoked
+    if (claims && claims.deviceId && !(await storage.getDevice(claims.sub, claims.deviceId))) {
+      claims = null;
+    }
+  } catch (error) {
+    next(error);
+    return;
+  }
+
+  if (!claims || claims.role !== 'session') {
+    res.status(401).json({
+      success: false,
+      message: 'Session access token required'
+    });
+    return;
+  }
+
+  req.auth = claims;
+  next();
+}
+
+// Express middleware for operator-only routes
+async function requireOperator(req, res, next) {
+  let claims;
+  try {
+    claims = await verifyToken(getBearerToken(req), 'access');
+  } catch (error) {
+    next(error);
+    return;
+  }
+
+  if (!claims || claims.role !== 'operator') {
+    res.status(401).json({
+      success: false,
+      message: 'Operator access token required'
+    });
+    return;
+  }
+
+  req.auth = claims;
+  next();
+}
+
+// WebSocket connection handler
+wss.on('connection', (ws, req) => {
+  let currentSessionId = null;
+  let heartbeatTimer = null;
+  let authChallenge = null;
+  let rateLimitViolations = []; // timestamps within RATE_LIMIT_VIOLATION_WINDOW
+  const clientIp = getClientIp(req);
+
+  // Read across a session's devices to work out its presence
+  ws.lastActivityAt = Date.now(); // last message other than a ping
+  ws.presenceState = null; // online, idle or away while authenticated
+  let missedPongs = 0; // heartbeat pings sent since the client last showed it was alive
+
+  // Until the client says hello it is treated as a version 1 client
+  ws.negotiated = LEGACY_SESSION;
+
+  log('New WebSocket connection', 'CONNECTION');
+
+  // Issue a one-time challenge the client must sign to prove it owns the session key
+  function sendAuthChallenge() {
+    authChallenge = createAuthChallenge();
+    ws.send(JSON.stringify({
+      type: 'auth_challenge',
+      data: {
+        challenge: authChallenge.value,
+        expiresAt: new Date(authChallenge.expiresAt).toISOString(),
+        heartbeatInterval: HEARTBEAT_INTERVAL
+      }
+    }));
+  }
+
+  sendAuthChallenge();
+
+  // Heartbeat: a protocol-level ping every interval; connections that miss HEARTBEAT_MAX_MISSED in a row
+  // are half-open and get terminated, which runs the close handler like any other disconnect
+  function startHeartbeat() {
+    heartbeatTimer = setInterval(() => {
+      if (ws.readyState !== WebSocket.OPEN) {
+        return;
+      }
+
+      if (missedPongs >= HEARTBEAT_MAX_MISSED) {
+        log(`Terminating unresponsive connection for session: ${currentSessionId}`, 'CONNECTION');
+        ws.terminate();
+        return;
+      }
+
+      missedPongs++;
+      ws.ping();
+      updatePresenceState().catch(error => log(`Error updating presence: ${error.message}`, 'ERROR'));
+    }, HEARTBEAT_INTERVAL);
+  }
+
+  startHeartbeat();
+
+  // Browsers answer pings automatically; any message also shows the client is alive
+  ws.on('pong', () => {
+    missedPongs = 0;
+  });
+
+  // Idle and away follow from how long the client has only been sending pings
+  async function updatePresenceState() {
+    const inactiveFor = Date.now() - ws.lastActivityAt;
+    let state = 'online';
+    if (inactiveFor >= PRESENCE_AWAY_AFTER) {
+      state = 'away';
+    } else if (inactiveFor >= PRESENCE_IDLE_AFTER) {
+      state = 'idle';
+    }
+
+    if (!currentSessionId || state === ws.presenceState) {
+      return;
+    }
+
+    ws.presenceState = state;
+    await publishDevicePresence(currentSessionId);
+  }
+
+  // Clean up heartbeat
+  function stopHeartbeat() {
+    if (heartbeatTimer) {
+      clearInterval(heartbeatTimer);
+      heartbeatTimer = null;
+    }
+  }
+
+  // Guard for message types that need an authenticated session
+  function requireSession() {
+    if (!currentSessionId) {
+      sendError(ws, 'AUTH_REQUIRED', 'Authentication required');
+      return false;
+    }
+    return true;
+  }
+
+  // Process messages one at a time so handlers waiting on storage keep their order
+  let processing = Promise.resolve();
+
+  ws.on('message', (data) => {
+    missedPongs = 0;
+    processing = processing.then(() => handleMessage(data));
+  });
+
+  // Take a token from the IP, session and message type buckets; false once the message is rejected
+  function checkRateLimit(type) {
+    const subject = currentSessionId ? `session:${currentSessionId}` : `ip:${clientIp}`;
+    const checks = [{ key: `ip:${clientIp}`, rule: RATE_LIMITS.ip }];
+    if (currentSessionId) {
+      checks.push({ key: subject, rule: RATE_LIMITS.session });
+    }
+    if (RATE_LIMITS.types[type]) {
+      checks.push({ key: `${subject}:${type}`, rule: RATE_LIMITS.types[type] });
+    }
+
+    const result = rateLimiter.consume(checks);
+    if (result.allowed) {
+      return true;
+    }
+
+    sendError(ws, 'RATE_LIMITED', 'Too many requests, slow down', { retryAfter: result.retryAfter });
+
+    // Repeat offenders are disconnected
+    const now = Date.now();
+    rateLimitViolations = rateLimitViolations.filter(time => now - time < RATE_LIMIT_VIOLATION_WINDOW);
+    rateLimitViolations.push(now);
+    if (rateLimitViolations.length >= RATE_LIMIT_MAX_VIOLATIONS) {
+      log(`Disconnecting ${currentSessionId || clientIp} after ${rateLimitViolations.length} rate limit violations`, 'WARNING');
+      ws.close(CLOSE_POLICY_VIOLATION, 'Rate limit exceeded');
+    }
+    return false;
+  }
+
+  // Message handler: a message carrying a requestId is answered with an 'ack' or an 'error' echoing it
+  async function handleMessage(data) {
+    // Drop whatever was still queued once the socket is closing
+    if (ws.readyState !== WebSocket.OPEN) {
+      return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      message = null;
+    }
+
+    if (!message || typeof message !== 'object' || typeof message.type !== 'string') {
+      sendError(ws, 'INVALID_FORMAT', 'Invalid message format');
+      return;
+    }
+
+    // Messages are handled one at a time, so anything sent back until this returns belongs to this request
+    const request = { requestId: message.requestId, failed: false };
+    ws.currentRequest = request;
+
+    try {
+      if (!checkRateLimit(message.type)) {
+        return;
+      }
+
+      log(`Received message: ${message.type}`, 'MESSAGE');
+
+      const errors = validateMessage(message.type, message.data);
+      if (errors) {
+        sendError(ws, 'VALIDATION', `Invalid ${message.type}: ${errors.map(error => `${error.field} ${error.message}`).join('; ')}`, { errors });
+        return;
+      }
+
+      if (message.type !== 'ping') {
+        ws.lastActivityAt = Date.now();
+        await updatePresenceState();
+      }
+
+      switch (message.type) {
+        case 'hello':
+          handleHello(ws, message.data);
+          break;
+        case 'auth':
+          await handleAuth(ws, message.data);
+          break;
+        case 'monitor_auth':
+          // Special authentication for monitoring connections
+          await handleMonitorAuth(ws, message.data);
+          break;
+        case 'invitation_send':
+          if (!requireSession()) return;
+          await handleInvitationSend(ws, message.data);
+          break;
+        case 'invitation_accept':
+          if (!requireSession()) return;
+          await handleInvitationAccept(ws, message.data);
+          break;
+        case 'invitation_decline':
+          if (!requireSession()) return;
+          await handleInvitationDecline(ws, message.data);
+          break;
+        case 'invitation_cancel':
+          if (!requireSession()) return;
+          await handleInvitationCancel(ws, message.data);
+          break;
+        case 'invitation_resend':
+          if (!requireSession()) return;
+          await handleInvitationResend(ws, message.data);
+          break;
+        case 'invitations_list':
+          if (!requireSession()) return;
+          await handleInvitationsList(ws);
+          break;
+        case 'message_send':
+          if (!requireSession()) return;
+          await handleMessageSend(ws, message.data);
+          break;
+        case 'typing_indicator':
+          if (!requireSession()) return;
+          await handleTypingIndicator(ws, message.data);
+          break;
+        case 'message_ack':
+          if (!requireSession()) return;
+          await handleMessageAck(ws, message.data);
+          break;
+        case 'message_read':
+          if (!requireSession()) return;
+          await handleMessageRead(ws, message.data);
+          break;
+        case 'settings_update':
+          if (!requireSession()) return;
+          await handleSettingsUpdate(ws, message.data);
+          break;
+        case 'status_update':
+          if (!requireSession()) return;
+          await handleStatusUpdate(ws, message.data);
+          break;
+        case 'presence_query':
+          if (!requireSession()) return;
+          await handlePresenceQuery(ws, message.data);
+          break;
+        case 'devices_list':
+          if (!requireSession()) return;
+          await handleDevicesList(ws);
+          break;
+        case 'device_revoke':
+          if (!requireSession()) return;
+          await handleDeviceRevoke(ws, message.data);
+          break;
+        case 'contacts_list':
+          if (!requireSession()) return;
+          await handleContactsList(ws);
+          break;
+        case 'contact_remove':
+          if (!requireSession()) return;
+          await handleContactRemove(ws, message.data);
+          break;
+        case 'user_block':
+          if (!requireSession()) return;
+          await handleUserBlock(ws, message.data, true);
+          break;
+        case 'user_unblock':
+          if (!requireSession()) return;
+          await handleUserBlock(ws, message.data, false);
+          break;
+        case 'user_report':
+          if (!requireSession()) return;
+          await handleUserReport(ws, message.data);
+          break;
+        case 'group_create':
+          if (!requireSession()) return;
+          await handleGroupCreate(ws, message.data);
+          break;
+        case 'group_add_member':
+          if (!requireSession()) return;
+          await handleGroupAddMember(ws, message.data);
+          break;
+        case 'group_remove_member':
+          if (!requireSession()) return;
+          await handleGroupRemoveMember(ws, message.data);
+          break;
+        case 'group_set_role':
+          if (!requireSession()) return;
+          await handleGroupSetRole(ws, message.data);
+          break;
+        case 'group_info':
+          if (!requireSession()) return;
+          await handleGroupInfo(ws, message.data);
+          break;
+        case 'history_request':
+          if (!requireSession()) return;
+          await handleHistoryRequest(ws, message.data);
+          break;
+        case 'message_edit':
+          if (!requireSession()) return;
+          await handleMessageEdit(ws, message.data);
+          break;
+        case 'message_delete':
+          if (!requireSession()) return;
+          await handleMessageDelete(ws, message.data);
+          break;
+        case 'reaction_add':
+          if (!requireSession()) return;
+          await handleReaction(ws, message.data, 'add');
+          break;
+        case 'reaction_remove':
+          if (!requireSession()) return;
+          await handleReaction(ws, message.data, 'remove');
+          break;
+        case 'ping':
+          ws.send(JSON.stringify({ type: 'pong' }));
+          break;
+        default:
+          log(`Unknown message type: ${message.type}`, 'WARNING');
+          sendError(ws, 'UNKNOWN_TYPE', `Unknown message type: ${message.type}`);
+      }
+    } catch (error) {
+      log(`Error processing message: ${error.message}`, 'ERROR');
+      sendError(ws, 'INTERNAL', 'Error processing message');
+    } finally {
+      ws.currentRequest = null;
+
+      if (request.requestId !== undefined && !request.failed) {
+        ws.send(JSON.stringify({
+          type: 'ack',
+          requestId: request.requestId,
+          data: { type: message.type }
+        }));
+      }
+    }
+  }
+
+  // Connection close handler
+  ws.on('close', async () => {
+    log(`Connection closed for session: ${currentSessionId}`, 'CONNECTION');
+    stopHeartbeat();
+    
+    const connections = currentSessionId && clients.get(currentSessionId);
+    if (connections && connections.has(ws)) {
+      connections.delete(ws);
+      if (connections.size === 0) {
+        clients.delete(currentSessionId);
+      }
+      ws.presenceState = null;
+
+      try {
+        await stopTypingFrom(currentSessionId, ws);
+
+        if (!Array.from(connections).some(client => client.deviceId === ws.deviceId)) {
+          await saveDeviceState(currentSessionId, ws.deviceId, { online: false, lastSeenAt: new Date().toISOString() });
+        }
+
+        // The session stays online while any of its devices is still connected
+        if (connections.size > 0) {
+          await publishDevicePresence(currentSessionId);
+          return;
+        }
+
+        await cluster.unregisterSession(currentSessionId);
+        if ((await cluster.locateSession(currentSessionId)).length > 0) {
+          return;
+        }
+
+        // Notify contacts that user is offline
+        const userContacts = await getOnlineContacts(currentSessionId);
+
+        await broadcastToUsers(userContacts, {
+          type: 'contact_offline',
+          data: { sessionId: currentSessionId }
+        });
+
+        await publishPresence(currentSessionId, { state: 'offline', lastSeen: new Date().toISOString() });
+      } catch (error) {
+        log(`Error notifying contacts for ${currentSessionId}: ${error.message}`, 'ERROR');
+      }
+    }
+  });
+
+  // Error handler
+  ws.on('error', (error) => {
+    log(`WebSocket error: ${error.message}`, 'ERROR');
+    stopHeartbeat();
+  });
+
+  function rejectProtocolVersion(ws, version, message) {
+    sendError(ws, 'UNSUPPORTED_VERSION', message, {
+      minVersion: MIN_PROTOCOL_VERSION,
+      maxVersion: PROTOCOL_VERSION
+    });
+    ws.close(CLOSE_UNSUPPORTED_VERSION, 'Unsupported protocol version');
+    log(`Rejected protocol version ${version}`, 'CONNECTION');
+  }
+
+  // Hello handler: agree on a protocol version and feature set (may be sent before or after auth)
+  function handleHello(ws, data) {
+    const result = negotiate(data, { minVersion: MIN_PROTOCOL_VERSION, compression: WS_COMPRESSION });
+
+    if (result.error) {
+      rejectProtocolVersion(ws, data.version, result.error);
+      return;
+    }
+
+    ws.negotiated = result;
+
+    ws.send(JSON.stringify({
+      type: 'hello_ack',
+      data: {
+        version: result.version,
+        features: Array.from(result.features),
+        serverVersion: PROTOCOL_VERSION,
+        minVersion: MIN_PROTOCOL_VERSION,
+        heartbeatInterval: HEARTBEAT_INTERVAL
+      }
+    }));
+
+    log(`Negotiated protocol version ${result.version}`, 'CONNECTION');
+  }
+
+  // Monitor authentication handler
+  async function handleMonitorAuth(ws, data) {
+    const { monitorId, token } = data;
+
+    const claims = await verifyToken(token, 'access');
+    if (!claims || claims.role !== 'operator') {
+      sendAuthFailed(ws, 'invalid_token', 'Operator access token required');
+      return;
+    }
+
+    // Set a special session ID for monitoring
+    currentSessionId = `monitor_${monitorId}`;
+    
+    log(`Monitor authenticated: ${monitorId}`, 'CONNECTION');
+    
+    ws.send(JSON.stringify({
+      type: 'monitor_auth_success',
+      data: { monitorId }
+    }));
+  }
+
+  // Authentication failure handler
+  function sendAuthFailed(ws, reason, message) {
+    ws.send(JSON.stringify({
+      type: 'auth_failed',
+      requestId: failCurrentRequest(ws),
+      data: { reason, message }
+    }));
+    log(`Authentication failed: ${reason}`, 'AUTH');
+  }
+
+  // Authentication handler
+  async function handleAuth(ws, data) {
+    const { sessionId, publicKey, signature, token } = data;
+    let deviceId = data.deviceId;
+
+    // Once version 1 is retired, clients have to say hello before they can authenticate
+    if (ws.negotiated.version < MIN_PROTOCOL_VERSION) {
+      rejectProtocolVersion(ws, ws.negotiated.version, 'Send hello with a supported protocol version first');
+      return;
+    }
+
+    // A connection belongs to one session; switching sessions means opening a new connection
+    if (currentSessionId && sessionId !== currentSessionId) {
+      sendAuthFailed(ws, 'already_authenticated', `This connection is already authenticated as ${currentSessionId}`);
+      return;
+    }
+
+    let tokens = null;
+
+    if (token) {
+      // Reconnecting clients present the access token issued on an earlier handshake
+      const claims = await verifyToken(token, 'access');
+      if (!claims || claims.role !== 'session' || claims.sub !== sessionId ||
+          (claims.deviceId && deviceId && claims.deviceId !== deviceId)) {
+        sendAuthFailed(ws, 'invalid_token', 'Access token is invalid, expired or revoked');
+        return;
+      }
+
+      // Tokens issued to a device stop working once the device is revoked, and a revoked id cannot be named again
+      deviceId = claims.deviceId || deviceId;
+      if ((claims.deviceId && !(await storage.getDevice(sessionId, claims.deviceId))) ||
+          (deviceId && await storage.isDeviceRevoked(sessionId, deviceId))) {
+        sendAuthFailed(ws, 'device_revoked', 'This device has been revoked');
+        return;
+      }
+
+      // Tokens from the HTTP API are not bound to a device, so a client naming none gets a fresh id
+      deviceId = deviceId || uuidv4();
+      authChallenge = null;
+    } else {
+      if (!publicKey || !signature) {
+        sendAuthFailed(ws, 'missing_proof', 'Public key and challenge signature are required');
+        return;
+      }
+
+      // Each challenge can only be answered once
+      const challenge = authChallenge;
+      authChallenge = null;
+
+      if (!challenge) {
+        sendAuthFailed(ws, 'no_challenge', 'No pending authentication challenge');
+        return;
+      }
+
+      if (challenge.expiresAt < Date.now()) {
+        sendAuthFailed(ws, 'challenge_expired', 'Authentication challenge expired');
+        sendAuthChallenge();
+        return;
+      }
+
+      const failure = await verifySessionProof(sessionId, publicKey, signature, challenge.value);
+      if (failure) {
+        sendAuthFailed(ws, failure, failure === 'key_mismatch'
+          ? 'Public key does not match this session'
+          : 'Challenge signature is invalid');
+        sendAuthChallenge();
+        return;
+      }
+
+      // A revoked device id stays revoked; whoever holds the session key can still add a new device
+      if (deviceId && await storage.isDeviceRevoked(sessionId, deviceId)) {
+        sendAuthFailed(ws, 'device_revoked', 'This device has been revoked');
+        sendAuthChallenge();
+        return;
+      }
+
+      // Clients that do not name their device get an id to reuse on later connections
+      deviceId = deviceId || uuidv4();
+      tokens = issueTokens(sessionId, 'session', { deviceId });
+    }
+
+    const wasOnline = (await cluster.locateSession(sessionId)).length > 0;
+
+    // The client may have gone during the awaits above; its close handler has already run and found nothing to clean up
+    if (ws.readyState !== WebSocket.OPEN) {
+      log(`Connection closed during authentication: ${sessionId}`, 'AUTH');
+      return;
+    }
+
+    // Check for and register this device's connection without yielding, so two handshakes cannot both pass
+    // (reject only sees connections to this node)
+    const connections = clients.get(sessionId) || new Set();
+    const duplicates = Array.from(connections).filter(client => client !== ws && client.deviceId === deviceId);
+    if (duplicates.length > 0 && SESSION_TAKEOVER_POLICY === 'reject') {
+      sendAuthFailed(ws, 'already_connected', 'This device is already connected');
+      sendAuthChallenge();
+      return;
+    }
+
+    currentSessionId = sessionId;
+    ws.deviceId = deviceId;
+    clients.set(sessionId, connections.add(ws));
+
+    // The old connection is told why it is closed; its close handler only removes its own registration
+    if (SESSION_TAKEOVER_POLICY === 'takeover') {
+      await disconnectDevice(sessionId, {
+        deviceId,
+        code: CLOSE_SESSION_REPLACED,
+        reason: 'Session replaced',
+        notice: { type: 'session_replaced', data: { sessionId, deviceId } }
+      }, ws);
+    }
+
+    await registerDevice(sessionId, deviceId, data.deviceName);
+    await cluster.registerSession(sessionId);
+
+    ws.send(JSON.stringify({
+      type: 'auth_success',
+      data: { sessionId, deviceId, ...tokens }
+    }));
+
+    // Deliver anything that arrived while the session was offline
+    await flushPendingDeliveries(sessionId);
+
+    // Notify contacts that user is online, unless another of its devices already was
+    if (!wasOnline) {
+      const userContacts = await getOnlineContacts(currentSessionId);
+
+      await broadcastToUsers(userContacts, {
+        type: 'contact_online',
+        data: { sessionId: currentSessionId }
+      });
+    }
+
+    ws.lastActivityAt = Date.now();
+    await updatePresenceState();
+
+    log(`User authenticated: ${sessionId} on device ${deviceId}`, 'AUTH');
+  }
+
+  // Invitation send handler
+  async function handleInvitationSend(ws, data) {
+    if (data.senderId && data.senderId !== currentSessionId) {
+      sendError(ws, 'SENDER_MISMATCH', 'senderId does not match the authenticated session');
+      return;
+    }
+
+    if (await storage.getInvitation(data.id)) {
+      sendError(ws, 'CONFLICT', 'An invitation with this id already exists');
+      return;
+    }
+
+    // Invitations to someone who blocked the sender vanish without telling the sender
+    if (await storage.isBlocked(data.recipientId, currentSessionId)) {
+      log(`Invitation dropped, ${data.recipientId} blocked ${currentSessionId}`, 'INVITATION');
+      return;
+    }
+
+    const refusal = await checkInvitationRules(currentSessionId, data.recipientId);
+    if (refusal) {
+      sendError(ws, refusal.code, refusal.message, refusal.details);
+      log(`Invitation refused (${refusal.code}): ${currentSessionId} -> ${data.recipientId}`, 'INVITATION');
+      return;
+    }
+
+    const invitation = {
+      id: data.id,
+      senderId: currentSessionId,
+      senderName: data.senderName,
+      recipientId: data.recipientId,
+      message: data.message,
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + INVITATION_EXPIRY).toISOString(),
+      metadata: data.metadata
+    };
+
+    await storage.saveInvitation(invitation);
+
+    // Send invitation to recipient (queued until they reconnect if offline)
+    await deliverOrQueue(invitation.recipientId, {
+      type: 'invitation_received',
+      data: invitation
+    });
+
+    log(`Invitation sent: ${invitation.id}`, 'INVITATION');
+  }
+
+  // Invitation accept handler
+  async function handleInvitationAccept(ws, data) {
+    const { invitationId } = data;
+    const invitation = await storage.getInvitation(invitationId);
+
+    if (!invitation) {
+      sendError(ws, 'NOT_FOUND', 'Invitation not found');
+      return;
+    }
+
+    // Only the invitation's recipient can respond to it
+    if (invitation.recipientId !== currentSessionId) {
+      sendError(ws, 'FORBIDDEN', 'Only the recipient can accept this invitation');
+      return;
+    }
+
+    if (!isPendingInvitation(invitation)) {
+      sendInvitationClosed(ws, invitation);
+      return;
+    }
+
+    // Update invitation status
+    invitation.status = 'accepted';
+    invitation.respondedAt = new Date().toISOString();
+    await storage.saveInvitation(invitation);
+    await storage.addContact(invitation.senderId, invitation.recipientId, invitation.respondedAt);
+
+    // Notify sender (queued until they reconnect if offline)
+    await deliverOrQueue(invitation.senderId, {
+      type: 'invitation_response',
+      data: invitation
+    });
+
+    // Both sides learn about the new contact and whether the other one is online right now
+    const onlineSessions = await cluster.filterOnlineSessions([invitation.senderId, invitation.recipientId]);
+    for (const [ownerId, contactId] of [[invitation.senderId, invitation.recipientId], [invitation.recipientId, invitation.senderId]]) {
+      await deliverOrQueue(ownerId, {
+        type: 'contact_added',
+        data: {
+          sessionId: contactId,
+          since: invitation.respondedAt,
+          online: onlineSessions.includes(contactId)
+        }
+      });
+    }
+
+    log(`Invitation accepted: ${invitationId}`, 'INVITATION');
+  }
+
+  // Invitation decline handler
+  async function handleInvitationDecline(ws, data) {
+    const { invitationId } = data;
+    const invitation = await storage.getInvitation(invitationId);
+
+    if (!invitation) {
+      sendError(ws, 'NOT_FOUND', 'Invitation not found');
+      return;
+    }
+
+    // Only the invitation's recipient can respond to it
+    if (invitation.recipientId !== currentSessionId) {
+      sendError(ws, 'FORBIDDEN', 'Only the recipient can decline this invitation');
+      return;
+    }
+
+    if (!isPendingInvitation(invitation)) {
+      sendInvitationClosed(ws, invitation);
+      return;
+    }
+
+    // Update invitation status
+    invitation.status = 'declined';
+    invitation.respondedAt = new Date().toISOString();
+    await storage.saveInvitation(invitation);
+
+    // Notify sender (queued until they reconnect if offline)
+    await deliverOrQueue(invitation.senderId, {
+      type: 'invitation_response',
+      data: invitation
+    });
+
+    log(`Invitation declined: ${invitationId}`, 'INVITATION');
+  }
+
+  // Invitation cancel handler: the sender withdraws a pending invitation
+  async function handleInvitationCancel(ws, data) {
+    const { invitationId } = data;
+    const invitation = await storage.getInvitation(invitationId);
+
+    if (!invitation) {
+      sendError(ws, 'NOT_FOUND', 'Invitation not found');
+      return;
+    }
+
+    if (invitation.senderId !== currentSessionId) {
+      sendError(ws, 'FORBIDDEN', 'Only the sender can cancel this invitation');
+      return;
+    }
+
+    if (!isPendingInvitation(invitation)) {
+      sendInvitationClosed(ws, invitation);
+      return;
+    }
+
+    invitation.status = 'cancelled';
+    invitation.cancelledAt = new Date().toISOString();
+    await storage.saveInvitation(invitation);
+
+    // The recipient may still have it queued, so the cancellation is queued for them as well
+    await deliverOrQueue(invitation.recipientId, {
+      type: 'invitation_response',
+      data: invitation
+    });
+    await broadcastToUser(invitation.senderId, {
+      type: 'invitation_response',
+      data: invitation
+    });
+
+    log(`Invitation cancelled: ${invitationId}`, 'INVITATION');
+  }
+
+  // Invitation resend handler: deliver a pending invitation again, or reopen an expired one, with a fresh expiry
+  async function handleInvitationResend(ws, data) {
+    const { invitationId } = data;
+    const invitation = await storage.getInvitation(invitationId);
+
+    if (!invitation) {
+      sendError(ws, 'NOT_FOUND', 'Invitation not found');
+      return;
+    }
+
+    if (invitation.senderId !== currentSessionId) {
+      sendError(ws, 'FORBIDDEN', 'Only the sender can resend this invitation');
+      return;
+    }
+
+    const expired = !isPendingInvitation(invitation);
+    if (expired && !['pending', 'expired'].includes(invitation.status)) {
+      sendInvitationClosed(ws, invitation);
+      return;
+    }
+
+    // The recipient is not nagged more than once per interval
+    const lastSentAt = new Date(invitation.resentAt || invitation.createdAt).getTime();
+    const now = Date.now();
+    if (now - lastSentAt < INVITATION_RESEND_INTERVAL) {
+      sendError(ws, 'RATE_LIMITED', 'This invitation was sent too recently', {
+        retryAfter: lastSentAt + INVITATION_RESEND_INTERVAL - now
+      });
+      return;
+    }
+
+    if (await storage.isBlocked(invitation.recipientId, currentSessionId)) {
+      log(`Invitation resend dropped, ${invitation.recipientId} blocked ${currentSessionId}`, 'INVITATION');
+      return;
+    }
+
+    // Reopening an expired invitation counts as a new one
+    if (expired) {
+      const refusal = await checkInvitationRules(currentSessionId, invitation.recipientId);
+      if (refusal) {
+        sendError(ws, refusal.code, refusal.message, refusal.details);
+        log(`Invitation resend refused (${refusal.code}): ${invitationId}`, 'INVITATION');
+        return;
+      }
+    }
+
+    invitation.status = 'pending';
+    invitation.resentAt = new Date(now).toISOString();
+    invitation.expiresAt = new Date(now + INVITATION_EXPIRY).toISOString();
+    await storage.saveInvitation(invitation);
+
+    await deliverOrQueue(invitation.recipientId, {
+      type: 'invitation_received',
+      data: invitation
+    });
+
+    log(`Invitation resent: ${invitationId}`, 'INVITATION');
+  }
+
+  // Invitations list handler: pending invitations to and from this session, e.g. to catch up after reconnecting
+  async function handleInvitationsList(ws) {
+    const pending = (await storage.listSessionInvitations(currentSessionId)).filter(invitation => isPendingInvitation(invitation));
+
+    ws.send(JSON.stringify({
+      type: 'invitations',
+      data: {
+        incoming: pending.filter(invitation => invitation.recipientId === currentSessionId),
+        outgoing: pending.filter(invitation => invitation.senderId === currentSessionId)
+      }
+    }));
+  }
+
+  // Message send handler
+  async function handleMessageSend(ws, data) {
+    if (data.senderId && data.senderId !== currentSessionId) {
+      sendError(ws, 'SENDER_MISMATCH', 'senderId does not match the authenticated session');
+      return;
+    }
+
+    if (data.groupId) {
+      await handleGroupMessageSend(ws, data);
+      return;
+    }
+
+    // Messages to someone who blocked the sender are dropped without telling the sender
+    if (await storage.isBlocked(data.recipientId, currentSessionId)) {
+      log(`Message dropped, ${data.recipientId} blocked ${currentSessionId}`, 'MESSAGE');
+      return;
+    }
+
+    const message = {
+      id: data.id,
+      senderId: currentSessionId,
+      recipientId: data.recipientId,
+      content: data.content,
+      messageType: data.messageType || 'text',
+      timestamp: new Date().toISOString(),
+      status: 'sent',
+      isOutgoing: false,
+      metadata: data.metadata,
+      replyToId: data.replyToId,
+      mentions: data.mentions
+    };
+
+    // Message ids are chosen by clients, so storage refuses one that is already taken
+    const conversationId = generateConversationId(message.senderId, message.recipientId);
+    if (!(await storage.saveMessage(conversationId, message))) {
+      sendError(ws, 'CONFLICT', 'A message with this id already exists');
+      return;
+    }
+
+    // Send message to recipient (queued until they reconnect if offline)
+    await deliverOrQueue(message.recipientId, {
+      type: 'message_received',
+      data: message
+    });
+
+    await syncToOtherDevices(currentSessionId, ws.deviceId, {
+      type: 'message_sent',
+      data: { ...message, isOutgoing: true }
+    });
+
+    log(`Message sent: ${message.id}`, 'MESSAGE');
+  }
+
+  // Group message send handler
+  async function handleGroupMessageSend(ws, data) {
+    const group = await storage.getGroup(data.groupId);
+    if (!group || !getGroupRole(group, currentSessionId)) {
+      sendError(ws, 'FORBIDDEN', 'Not a member of this group');
+      return;
+    }
+
+    const message = {
+      id: data.id,
+      groupId: group.id,
+      senderId: currentSessionId,
+      recipientId: null,
+      content: data.content,
+      messageType: data.messageType || 'text',
+      timestamp: new Date().toISOString(),
+      status: 'sent',
+      isOutgoing: false,
+      metadata: data.metadata,
+      replyToId: data.replyToId,
+      mentions: data.mentions
+    };
+
+    if (!(await storage.saveMessage(group.id, message))) {
+      sendError(ws, 'CONFLICT', 'A message with this id already exists');
+      return;
+    }
+
+    // Fan out to every other member (queued for those offline), skipping members who blocked the sender
+    const otherIds = Object.keys(group.members).filter(id => id !== currentSessionId);
+    const recipientIds = await withoutBlockers(currentSessionId, otherIds);
+    await deliverToGroup(group, {
+      type: 'message_received',
+      data: message
+    }, [currentSessionId, ...otherIds.filter(id => !recipientIds.includes(id))]);
+
+    await syncToOtherDevices(currentSessionId, ws.deviceId, {
+      type: 'message_sent',
+      data: { ...message, isOutgoing: true }
+    });
+
+    log(`Group message sent: ${message.id} to ${group.id}`, 'MESSAGE');
+  }
+
+  // Status text handler; an empty or missing statusText clears it
+  async function handleStatusUpdate(ws, data) {
+    await publishPresence(currentSessionId, { statusText: data.statusText || null });
+    log(`Status updated for ${currentSessionId}`, 'PRESENCE');
+  }
+
+  // Presence query handler: contacts only, all of them when no sessionIds are given
+  async function handlePresenceQuery(ws, data) {
+    const blocked = await storage.getBlockedUsers(currentSessionId);
+    const contactIds = (await storage.getContacts(currentSessionId))
+      .map(contact => contact.sessionId)
+      .filter(id => !blocked.includes(id));
+    const requested = data.sessionIds ? contactIds.filter(id => data.sessionIds.includes(id)) : contactIds;
+
+    const presences = [];
+    for (const sessionId of await withoutBlockers(currentSessionId, requested)) {
+      const presence = await storage.getPresence(sessionId);
+      presences.push(presenceView(sessionId, presence, await getUserSettings(sessionId)));
+    }
+
+    ws.send(JSON.stringify({
+      type: 'presence',
+      data: { presences }
+    }));
+  }
+
+  // Devices handler: every device that has authenticated as this session and not been revoked
+  async function handleDevicesList(ws) {
+    const devices = await storage.listDevices(currentSessionId);
+
+    ws.send(JSON.stringify({
+      type: 'devices',
+      data: {
+        devices: devices.map(device => ({ ...device, current: device.deviceId === ws.deviceId }))
+      }
+    }));
+  }
+
+  // Revoke handler: forget the device, invalidate its tokens and disconnect it wherever it is connected
+  async function handleDeviceRevoke(ws, data) {
+    if (!(await storage.revokeDevice(currentSessionId, data.deviceId))) {
+      sendError(ws, 'NOT_FOUND', 'Device not found');
+      return;
+    }
+
+    ws.send(JSON.stringify({
+      type: 'device_revoked',
+      data: { deviceId: data.deviceId }
+    }));
+
+    await disconnectDevice(currentSessionId, {
+      deviceId: data.deviceId,
+      code: CLOSE_DEVICE_REVOKED,
+      reason: 'Device revoked'
+    });
+
+    log(`Device ${data.deviceId} revoked for ${currentSessionId}`, 'AUTH');
+  }
+
+  // Contacts list handler; sessions blocked either way are never shown as online
+  async function handleContactsList(ws) {
+    const online = new Set(await getOnlineContacts(currentSessionId));
+    const contacts = (await storage.getContacts(currentSessionId)).map(contact => ({
+      ...contact,
+      online: online.has(contact.sessionId)
+    }));
+
+    ws.send(JSON.stringify({
+      type: 'contacts',
+      data: { contacts }
+    }));
+  }
+
+  // Contact removal handler: removes the contact on both sides and tells the other side
+  async function handleContactRemove(ws, data) {
+    const { sessionId } = data;
+
+    if (!(await storage.isContact(currentSessionId, sessionId))) {
+      sendError(ws, 'NOT_FOUND', 'Not a contact');
+      return;
+    }
+
+    await storage.removeContact(currentSessionId, sessionId);
+
+    ws.send(JSON.stringify({
+      type: 'contact_removed',
+      data: { sessionId }
+    }));
+    await deliverOrQueue(sessionId, {
+      type: 'contact_removed',
+      data: { sessionId: currentSessionId }
+    });
+
+    log(`Contact removed: ${currentSessionId} - ${sessionId}`, 'CONTACT');
+  }
+
+  // Block/unblock handler: replies with the full block list
+  async function handleUserBlock(ws, data, block) {
+    const { sessionId } = data;
+
+    if (sessionId === currentSessionId) {
+      sendError(ws, 'VALIDATION', 'Cannot block yourself');
+      return;
+    }
+
+    if (block) {
+      await storage.blockUser(currentSessionId, sessionId);
+    } else {
+      await storage.unblockUser(currentSessionId, sessionId);
+    }
+
+    ws.send(JSON.stringify({
+      type: 'block_list',
+      data: { sessionIds: await storage.getBlockedUsers(currentSessionId) }
+    }));
+
+    log(`${currentSessionId} ${block ? 'blocked' : 'unblocked'} ${sessionId}`, 'MODERATION');
+  }
+
+  // Report handler: keeps the reported session's recent messages in the conversation for moderators
+  async function handleUserReport(ws, data) {
+    const { sessionId, groupId, reason } = data;
+
+    let conversationId = generateConversationId(currentSessionId, sessionId);
+    if (groupId) {
+      const group = await storage.getGroup(groupId);
+      if (!group || !getGroupRole(group, currentSessionId)) {
+        sendError(ws, 'FORBIDDEN', 'Not a member of this group');
+        return;
+      }
+      conversationId = group.id;
+    }
+
+    const conversation = await storage.getConversation(conversationId);
+    const messageIds = conversation
+      .filter(message => message.senderId === sessionId && message.messageType !== 'system')
+      .slice(-REPORT_MESSAGE_COUNT)
+      .map(message => message.id);
+
+    const report = {
+      id: uuidv4(),
+      reporterId: currentSessionId,
+      reportedId: sessionId,
+      groupId: groupId || null,
+      reason: reason || null,
+      messageIds,
+      createdAt: new Date().toISOString()
+    };
+    await storage.saveReport(report);
+
+    ws.send(JSON.stringify({
+      type: 'report_submitted',
+      data: { reportId: report.id }
+    }));
+
+    log(`Report ${report.id}: ${currentSessionId} reported ${sessionId}`, 'MODERATION');
+  }
+
+  // Group create handler
+  async function handleGroupCreate(ws, data) {
+    const { name } = data;
+    const memberIds = Array.from(new Set(data.memberIds || [])).filter(id => id && id !== currentSessionId);
+
+    if (memberIds.length + 1 > MAX_GROUP_MEMBERS) {
+      sendError(ws, 'VALIDATION', `Groups are limited to ${MAX_GROUP_MEMBERS} members`);
+      return;
+    }
+
+    if (data.id && await storage.getGroup(data.id)) {
+      sendError(ws, 'VALIDATION', 'Group already exists');
+      return;
+    }
+
+    const now = new Date().toISOString();
+    const group = {
+      id: data.id || uuidv4(),
+      name,
+      createdBy: currentSessionId,
+      createdAt: now,
+      members: {
+        [currentSessionId]: { role: 'owner', joinedAt: now }
+      }
+    };
+    memberIds.forEach(id => {
+      group.members[id] = { role: 'member', joinedAt: now };
+    });
+
+    await storage.saveGroup(group);
+    await postGroupSystemMessage(group, 'group_created', currentSessionId, { name });
+  }
+
+  // Group add member handler (owners and admins)
+  async function handleGroupAddMember(ws, data) {
+    const { groupId, memberId } = data;
+    const group = await storage.getGroup(groupId);
+
+    if (!group) {
+      sendError(ws, 'NOT_FOUND', 'Group not found');
+      return;
+    }
+
+    if (!['owner', 'admin'].includes(getGroupRole(group, currentSessionId))) {
+      sendError(ws, 'FORBIDDEN', 'Only owners and admins can add members');
+      return;
+    }
+
+    if (group.members[memberId]) {
+      sendError(ws, 'VALIDATION', 'Already a member');
+      return;
+    }
+
+    if (Object.keys(group.members).length >= MAX_GROUP_MEMBERS) {
+      sendError(ws, 'VALIDATION', `Groups are limited to ${MAX_GROUP_MEMBERS} members`);
+      return;
+    }
+
+    group.members[memberId] = { role: 'member', joinedAt: new Date().toISOString() };
+    await storage.saveGroup(group);
+    await postGroupSystemMessage(group, 'member_added', currentSessionId, { memberId });
+  }
+
+  // Group remove member handler (owners and admins, or a member leaving)
+  async function handleGroupRemoveMember(ws, data) {
+    const { groupId, memberId } = data;
+    const group = await storage.getGroup(groupId);
+
+    if (!group) {
+      sendError(ws, 'NOT_FOUND', 'Group not found');
+      return;
+    }
+
+    const actorRole = getGroupRole(group, currentSessionId);
+    const memberRole = getGroupRole(group, memberId);
+
+    if (!actorRole || !memberRole) {
+      sendError(ws, 'FORBIDDEN', 'Not a member of this group');
+      return;
+    }
+
+    if (memberRole === 'owner') {
+      sendError(ws, 'FORBIDDEN', 'The owner must transfer ownership before leaving');
+      return;
+    }
+
+    // Members may leave; admins may remove members; the owner may remove anyone
+    const leaving = memberId === currentSessionId;
+    const allowed = leaving || actorRole === 'owner' || (actorRole === 'admin' && memberRole === 'member');
+    if (!allowed) {
+      sendError(ws, 'FORBIDDEN', 'Not allowed to remove this member');
+      return;
+    }
+
+    delete group.members[memberId];
+    await storage.saveGroup(group);
+    await storage.clearGroupReadState(group.id, memberId);
+    await postGroupSystemMessage(group, leaving ? 'member_left' : 'member_removed', currentSessionId, { memberId }, [memberId]);
+  }
+
+  // Group role handler (owner only; assigning 'owner' transfers ownership)
+  async function handleGroupSetRole(ws, data) {
+    const { groupId, memberId, role } = data;
+    const group = await storage.getGroup(groupId);
+
+    if (!group) {
+      sendError(ws, 'NOT_FOUND', 'Group not found');
+      return;
+    }
+
+    if (getGroupRole(group, currentSessionId) !== 'owner') {
+      sendError(ws, 'FORBIDDEN', 'Only the owner can change roles');
+      return;
+    }
+
+    if (!group.members[memberId] || memberId === currentSessionId) {
+      sendError(ws, 'VALIDATION', 'Another member of the group is required');
+      return;
+    }
+
+    if (role === 'owner') {
+      group.members[currentSessionId].role = 'admin';
+    }
+    group.members[memberId].role = role;
+
+    await storage.saveGroup(group);
+    await postGroupSystemMessage(group, 'role_changed', currentSessionId, { memberId, role });
+  }
+
+  // Group info handler: membership plus every member's read position
+  async function handleGroupInfo(ws, data) {
+    const group = await storage.getGroup(data.groupId);
+    if (!group || !getGroupRole(group, currentSessionId)) {
+      sendError(ws, 'FORBIDDEN', 'Not a member of this group');
+      return;
+    }
+
+    ws.send(JSON.stringify({
+      type: 'group_info',
+      data: {
+        group,
+        readState: await storage.getGroupReadState(group.id)
+      }
+    }));
+  }
+
+  // History request handler
+  async function handleHistoryRequest(ws, data) {
+    const { error, history } = await loadHistory(currentSessionId, data);
+
+    if (error) {
+      sendError(ws, error.code, error.message);
+      return;
+    }
+
+    ws.send(JSON.stringify({
+      type: 'history_response',
+      data: history
+    }));
+
+    log(`History sent: ${history.messages.length} messages from ${history.conversationId}`, 'MESSAGE');
+  }
+
+  // Look up a message the current session sent; sends the error and returns null otherwise
+  async function findOwnMessage(ws, messageId) {
+    const stored = await storage.findMessage(messageId);
+
+    if (!stored) {
+      sendError(ws, 'NOT_FOUND', 'Message not found');
+      return null;
+    }
+
+    if (stored.message.senderId !== currentSessionId || stored.message.messageType === 'system') {
+      sendError(ws, 'FORBIDDEN', 'Only the original sender can change this message');
+      return null;
+    }
+
+    if (stored.message.deleted) {
+      sendError(ws, 'NOT_FOUND', 'Message was deleted');
+      return null;
+    }
+
+    return stored;
+  }
+
+  // Message edit handler
+  async function handleMessageEdit(ws, data) {
+    const { messageId, content } = data;
+
+    const stored = await findOwnMessage(ws, messageId);
+    if (!stored) {
+      return;
+    }
+
+    const message = stored.message;
+    const editedAt = new Date().toISOString();
+
+    // Keep every previous version along with when it was current from
+    message.editHistory = message.editHistory || [];
+    message.editHistory.push({
+      content: message.content,
+      editedAt: message.editedAt || message.timestamp
+    });
+    message.content = content;
+    message.editedAt = editedAt;
+
+    await storage.updateMessage(stored.conversationId, message);
+
+    const update = {
+      type: 'message_edited',
+      data: {
+        messageId,
+        groupId: message.groupId || null,
+        senderId: message.senderId,
+        content,
+        editedAt
+      }
+    };
+    // Sessions that blocked the sender are not told
+    for (const sessionId of await withoutBlockers(currentSessionId, await getOtherParticipants(message))) {
+      await deliverOrQueue(sessionId, update);
+    }
+
+    log(`Message edited: ${messageId}`, 'MESSAGE');
+  }
+
+  // Message delete handler ('me' hides it for the sender, 'everyone' removes it within the window)
+  async function handleMessageDelete(ws, data) {
+    const { messageId } = data;
+    const scope = data.scope || 'me';
+
+    const stored = await findOwnMessage(ws, messageId);
+    if (!stored) {
+      return;
+    }
+
+    const message = stored.message;
+    const deletedAt = new Date().toISOString();
+
+    if (scope === 'me') {
+      message.deletedFor = Array.from(new Set([...(message.deletedFor || []), currentSessionId]));
+      await storage.updateMessage(stored.conversationId, message);
+      log(`Message deleted for sender: ${messageId}`, 'MESSAGE');
+      return;
+    }
+
+    if (Date.now() - new Date(message.timestamp).getTime() > DELETE_FOR_EVERYONE_WINDOW) {
+      sendError(ws, 'FORBIDDEN', 'Too late to delete this message for everyone');
+      return;
+    }
+
+    // Keep a tombstone so history still shows where the message was
+    message.deleted = true;
+    message.deletedAt = deletedAt;
+    message.content = null;
+    message.metadata = null;
+    message.editHistory = [];
+    await storage.updateMessage(stored.conversationId, message);
+
+    const update = {
+      type: 'message_deleted',
+      data: {
+        messageId,
+        groupId: message.groupId || null,
+        senderId: message.senderId,
+        scope,
+        deletedAt
+      }
+    };
+    // Sessions that blocked the sender are not told
+    for (const sessionId of await withoutBlockers(currentSessionId, await getOtherParticipants(message))) {
+      await deliverOrQueue(sessionId, update);
+    }
+
+    log(`Message deleted for everyone: ${messageId}`, 'MESSAGE');
+  }
+
+  // Reaction handler: reactions are stored on the message as emoji -> session ids
+  async function handleReaction(ws, data, action) {
+    const { messageId, emoji } = data;
+
+    const stored = await storage.findMessage(messageId);
+    if (!stored || stored.message.deleted) {
+      sendError(ws, 'NOT_FOUND', 'Message not found');
+      return;
+    }
+
+    const message = stored.message;
+    const participants = await getParticipants(message);
+    if (!participants.includes(currentSessionId)) {
+      sendError(ws, 'FORBIDDEN', 'Not a participant in this conversation');
+      return;
+    }
+
+    const reactions = message.reactions || {};
+    const reactors = new Set(reactions[emoji] || []);
+    if (action === 'add') {
+      reactors.add(currentSessionId);
+    } else {
+      reactors.delete(currentSessionId);
+    }
+
+    if (reactors.size > 0) {
+      reactions[emoji] = Array.from(reactors);
+    } else {
+      delete reactions[emoji];
+    }
+    message.reactions = reactions;
+    await storage.updateMessage(stored.conversationId, message);
+
+    const update = {
+      type: 'reaction_updated',
+      data: {
+        messageId,
+        groupId: message.groupId || null,
+        sessionId: currentSessionId,
+        emoji,
+        action,
+        reactions
+      }
+    };
+    // Sessions that blocked the reactor are not told
+    for (const sessionId of await withoutBlockers(currentSessionId, participants.filter(id => id !== currentSessionId))) {
+      await deliverOrQueue(sessionId, update);
+    }
+
+    log(`Reaction ${action}: ${emoji} on ${messageId} by ${currentSessionId}`, 'MESSAGE');
+  }
+
+  // Typing indicator handler
+  async function handleTypingIndicator(ws, data) {
+    const { recipientId, groupId, isTyping } = data;
+    const activity = data.activity || 'typing';
+
+    if (!isTyping) {
+      await stopTyping(currentSessionId, typingKey(data));
+      log(`Typing indicator: ${currentSessionId} stopped ${activity}`, 'TYPING');
+      return;
+    }
+
+    let recipientIds = [recipientId];
+
+    if (groupId) {
+      const group = await storage.getGroup(groupId);
+      if (!group || !getGroupRole(group, currentSessionId)) {
+        sendError(ws, 'FORBIDDEN', 'Not a member of this group');
+        return;
       }
-    } catch (error) {
-      log(`Error processing message: ${error.message}`, 'ERROR');
-      ws.send(JSON.stringify({
-        type: 'error',
-        data: { message: 'Invalid message format' }
-      }));
+
+      // Send typing indicator to the other members that are online
+      recipientIds = await withoutBlockers(currentSessionId, Object.keys(group.members).filter(id => id !== currentSessionId));
+    } else if (await storage.isBlocked(recipientId, currentSessionId)) {
+      return;
     }
-  });
 
-  // Connection close handler
-  ws.on('close', () => {
-    log(`Connection closed for session: ${currentSessionId}`, 'CONNECTION');
-    
-    if (currentSessionId) {
-      clients.delete(currentSessionId);
-      
-      // Notify contacts that user is offline
-      const userContacts = Array.from(clients.keys()).filter(sessionId => {
-        const conversationId = generateConversationId(currentSessionId, sessionId);
-        return messages.has(conversationId);
-      });
+    await startTyping(currentSessionId, { recipientId, groupId, activity, recipientIds, connection: ws });
 
-      broadcastToUsers(userContacts, {
-        type: 'contact_offline',
-        data: { sessionId: currentSessionId }
-      });
+    log(`Typing indicator: ${currentSessionId} ${activity} ${groupId ? `in ${groupId}` : `to ${recipientId}`}`, 'TYPING');
+  }
+
+  // Delivery acknowledgement handler: the recipient's device confirms it received messages
+  async function handleMessageAck(ws, data) {
+    const messageIds = data.messageIds || [data.messageId];
+    const deliveredBySender = new Map();
+
+    for (const messageId of messageIds) {
+      const stored = await storage.findMessage(messageId);
+
+      // Acks are fire-and-forget, so anything not addressed to this session is skipped quietly
+      if (!stored || stored.message.groupId || stored.message.recipientId !== currentSessionId) {
+        continue;
+      }
+
+      if (advanceMessageStatus(stored.message, 'delivered')) {
+        await storage.updateMessage(stored.conversationId, stored.message);
+        const senderId = stored.message.senderId;
+        deliveredBySender.set(senderId, [...(deliveredBySender.get(senderId) || []), messageId]);
+      }
     }
 
-    stopHeartbeat();
-  });
+    for (const [senderId, delivered] of deliveredBySender.entries()) {
+      await deliverOrQueue(senderId, messageStatusUpdate(delivered, 'delivered'));
+    }
 
-  // Error handler
-  ws.on('error', (error) => {
-    log(`WebSocket error: ${error.message}`, 'ERROR');
-    stopHeartbeat();
-  });
+    log(`Messages acknowledged by ${currentSessionId}: ${messageIds.length}`, 'MESSAGE');
+  }
 
-  // Monitor authentication handler
-  function handleMonitorAuth(ws, data) {
-    const { monitorId } = data;
-    
-    if (!monitorId) {
-      ws.send(JSON.stringify({
-        type: 'error',
-        data: { message: 'Monitor ID is required' }
-      }));
+  // Message read handler: a single messageId, or upToMessageId to read everything up to that message
+  async function handleMessageRead(ws, data) {
+    const { messageId, upToMessageId } = data;
+    const stored = await storage.findMessage(upToMessageId || messageId);
+
+    if (!stored) {
+      sendError(ws, 'NOT_FOUND', 'Message not found');
       return;
     }
 
-    // Set a special session ID for monitoring
-    currentSessionId = `monitor_${monitorId}`;
-    
-    log(`Monitor authenticated: ${monitorId}`, 'CONNECTION');
-    
-    ws.send(JSON.stringify({
-      type: 'monitor_auth_success',
-      data: { monitorId }
-    }));
-  }
+    // With read receipts off the reader's progress is never revealed
+    const settings = await getUserSettings(currentSessionId);
+    if (!settings.readReceipts) {
+      return;
+    }
 
-  // Authentication handler
-  function handleAuth(ws, data) {
-    const { sessionId, name, profilePicture } = data;
-    
-    if (!sessionId) {
-      ws.send(JSON.stringify({
-        type: 'error',
-        data: { message: 'Session ID is required' }
-      }));
+    if (stored.message.groupId) {
+      await handleGroupMessageRead(ws, stored.message);
       return;
     }
 
-    currentSessionId = sessionId;
-    clients.set(sessionId, ws);
+    const message = stored.message;
+    let readMessages = [message];
 
-    // Start heartbeat
-    startHeartbeat();
+    if (upToMessageId) {
+      if (message.senderId !== currentSessionId && message.recipientId !== currentSessionId) {
+        sendError(ws, 'FORBIDDEN', 'Not a participant in this conversation');
+        return;
+      }
 
-    // Notify contacts that user is online
-    const userContacts = Array.from(clients.keys()).filter(sessionId => {
-      const conversationId = generateConversationId(currentSessionId, sessionId);
-      return messages.has(conversationId);
-    });
+      readMessages = await unreadUpTo(stored.conversationId, message, currentSessionId);
+    } else if (message.recipientId !== currentSessionId) {
+      // Only the recipient can mark a message as read
+      sendError(ws, 'FORBIDDEN', 'Only the recipient can mark this message as read');
+      return;
+    }
 
-    broadcastToUsers(userContacts, {
-      type: 'contact_online',
-      data: { sessionId: currentSessionId }
-    });
+    const readIds = [];
+    for (const readMessage of readMessages) {
+      if (advanceMessageStatus(readMessage, 'read')) {
+        await storage.updateMessage(stored.conversationId, readMessage);
+        readIds.push(readMessage.id);
+      }
+    }
 
-    log(`User authenticated: ${sessionId}`, 'AUTH');
+    // Notify sender once for the whole batch
+    if (readIds.length > 0) {
+      const senderId = readMessages[0].senderId;
+      await deliverOrQueue(senderId, messageStatusUpdate(readIds, 'read'));
+    }
+
+    log(`Messages marked as read by ${currentSessionId}: ${readIds.length}`, 'MESSAGE');
   }
 
-  // Invitation send handler
-  function handleInvitationSend(ws, data) {
-    const invitation = {
-      id: data.id,
-      senderId: data.senderId,
-      senderName: data.senderName,
-      recipientId: data.recipientId,
-      message: data.message,
-      status: 'pending',
-      createdAt: new Date().toISOString(),
-      expiresAt: new Date(Date.now() + INVITATION_EXPIRY).toISOString(),
-      metadata: data.metadata
-    };
+  // Settings handler: merges the given settings and replies with the effective settings ({} just reads them)
+  async function handleSettingsUpdate(ws, data) {
+    const updates = data || {};
 
-    invitations.set(invitation.id, invitation);
+    for (const [name, value] of Object.entries(updates)) {
+      if (!(name in DEFAULT_USER_SETTINGS) || typeof value !== typeof DEFAULT_USER_SETTINGS[name]) {
+        sendError(ws, 'VALIDATION', `Unknown or invalid setting: ${name}`);
+        return;
+      }
+    }
 
-    // Send invitation to recipient
-    broadcastToUser(invitation.recipientId, {
-      type: 'invitation_received',
-      data: invitation
-    });
+    const settings = { ...(await getUserSettings(currentSessionId)), ...updates };
+    await storage.saveUserSettings(currentSessionId, settings);
 
-    log(`Invitation sent: ${invitation.id}`, 'INVITATION');
-  }
+    ws.send(JSON.stringify({
+      type: 'settings',
+      data: settings
+    }));
 
-  // Invitation accept handler
-  function handleInvitationAccept(ws, data) {
-    const { invitationId } = data;
-    const invitation = invitations.get(invitationId);
+    log(`Settings updated for ${currentSessionId}`, 'AUTH');
+  }
 
-    if (!invitation) {
-      ws.send(JSON.stringify({
-        type: 'error',
-        data: { message: 'Invitation not found' }
-      }));
+  // Group read handler: each member has their own read position
+  async function handleGroupMessageRead(ws, message) {
+    const group = await storage.getGroup(message.groupId);
+    if (!group || !getGroupRole(group, currentSessionId) || message.senderId === currentSessionId) {
+      sendError(ws, 'FORBIDDEN', 'Only other group members can mark this message as read');
       return;
     }
 
-    // Update invitation status
-    invitation.status = 'accepted';
-    invitations.set(invitationId, invitation);
+    const state = { messageId: message.id, readAt: new Date().toISOString() };
+    await storage.setGroupReadState(group.id, currentSessionId, state);
 
-    // Notify sender
-    broadcastToUser(invitation.senderId, {
-      type: 'invitation_response',
-      data: invitation
+    const memberIds = Object.keys(group.members).filter(id => id !== currentSessionId);
+    await broadcastToUsers(memberIds, {
+      type: 'group_read_state',
+      data: {
+        groupId: group.id,
+        sessionId: currentSessionId,
+        ...state
+      }
     });
 
-    log(`Invitation accepted: ${invitationId}`, 'INVITATION');
+    log(`Group message marked as read: ${message.id} by ${currentSessionId}`, 'MESSAGE');
   }
+});
 
-  // Invitation decline handler
-  function handleInvitationDecline(ws, data) {
-    const { invitationId } = data;
-    const invitation = invitations.get(invitationId);
-
-    if (!invitation) {
-      ws.send(JSON.stringify({
-        type: 'error',
-        data: { message: 'Invitation not found' }
-      }));
+// Clean up expired invitations periodically
+// Expire pending invitations, then forget closed ones once they are past retention
+// (declined ones are kept at least as long as the decline cooldown needs them)
+const invitationSweepTimer = setInterval(async () => {
+  const now = Date.now();
+  try {
+    // Only the node holding the lease sweeps, so each expiry is saved and announced once
+    if (!(await storage.claimLease('invitation-sweep', cluster.nodeId, 2 * INVITATION_SWEEP_INTERVAL))) {
       return;
     }
 
-    // Update invitation status
-    invitation.status = 'declined';
-    invitations.set(invitationId, invitation);
+    for (const invitation of await storage.listInvitations()) {
+      if (invitation.status === 'pending') {
+        if (new Date(invitation.expiresAt).getTime() < now) {
+          invitation.status = 'expired';
+          await storage.saveInvitation(invitation);
 
-    // Notify sender
-    broadcastToUser(invitation.senderId, {
-      type: 'invitation_response',
-      data: invitation
-    });
+          // Notify both parties
+          await broadcastToUsers([invitation.senderId, invitation.recipientId], {
+            type: 'invitation_response',
+            data: invitation
+          });
+        }
+        continue;
+      }
 
-    log(`Invitation declined: ${invitationId}`, 'INVITATION');
+      const retention = invitation.status === 'declined'
+        ? Math.max(INVITATION_RETENTION, INVITATION_DECLINE_COOLDOWN)
+        : INVITATION_RETENTION;
+      if (invitationClosedAt(invitation) + retention < now) {
+        await storage.deleteInvitation(invitation.id);
+        log(`Purged ${invitation.status} invitation: ${invitation.id}`, 'INVITATION');
+      }
+    }
+  } catch (error) {
+    log(`Error sweeping invitations: ${error.message}`, 'ERROR');
   }
+}, INVITATION_SWEEP_INTERVAL);
 
-  // Message send handler
-  function handleMessageSend(ws, data) {
-    const message = {
-      id: data.id,
-      senderId: data.senderId,
-      recipientId: data.recipientId,
-      content: data.content,
-      messageType: data.messageType || 'text',
-      timestamp: new Date().toISOString(),
-      status: 'sent',
-      isOutgoing: false,
-      metadata: data.metadata,
-      replyToId: data.replyToId,
-      mentions: data.mentions
-    };
+// Forget revoked tokens and HTTP challenges once they would have expired anyway
+const tokenSweepTimer = setInterval(async () => {
+  try {
+    await storage.purgeExpiredAuthState(Date.now());
+  } catch (error) {
+    log(`Error purging revoked tokens and challenges: ${error.message}`, 'ERROR');
+  }
+}, 60000);
 
-    const conversationId = generateConversationId(message.senderId, message.recipientId);
-    
-    if (!messages.has(conversationId)) {
-      messages.set(conversationId, []);
+// Forget rate limit buckets that have refilled
+const rateLimitSweepTimer = setInterval(() => rateLimiter.prune(), 60000);
+
+// Drop queued deliveries that outlived the offline queue TTL
+const deliverySweepTimer = setInterval(async () => {
+  try {
+    await storage.purgeExpiredDeliveries(Date.now());
+  } catch (error) {
+    log(`Error purging queued deliveries: ${error.message}`, 'ERROR');
+  }
+}, 60000);
+
+// Challenge for HTTP token issuance, kept in storage so the token can be requested from any node
+app.get('/auth/challenge', async (req, res) => {
+  const challenge = createAuthChallenge();
+
+  try {
+    await storage.saveAuthChallenge(challenge.value, challenge.expiresAt);
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error creating challenge', error: error.message });
+    return;
+  }
+
+  res.json({
+    challenge: challenge.value,
+    expiresAt: new Date(challenge.expiresAt).toISOString()
+  });
+});
+
+// Issue tokens for a session (signed challenge) or an operator (password)
+app.post('/auth/token', async (req, res) => {
+  const { sessionId, publicKey, signature, challenge, username, password } = req.body || {};
+
+  if (username !== undefined) {
+    const valid = OPERATOR_PASSWORD_HASH && username === OPERATOR_USERNAME &&
+      typeof password === 'string' && await bcrypt.compare(password, OPERATOR_PASSWORD_HASH);
+
+    if (!valid) {
+      log(`Operator login failed: ${username}`, 'AUTH');
+      res.status(401).json({ success: false, message: 'Invalid operator credentials' });
+      return;
     }
-    
-    messages.get(conversationId).push(message);
 
-    // Send message to recipient
-    broadcastToUser(message.recipientId, {
-      type: 'message_received',
-      data: message
+    log(`Operator token issued: ${username}`, 'AUTH');
+    res.json({ success: true, ...issueTokens(username, 'operator') });
+    return;
+  }
+
+  if (!sessionId || !publicKey || !signature || !challenge) {
+    res.status(400).json({
+      success: false,
+      message: 'sessionId, publicKey, challenge and signature are required'
     });
+    return;
+  }
 
-    log(`Message sent: ${message.id}`, 'MESSAGE');
+  // Challenges are single use
+  const challengeExpiry = await storage.takeAuthChallenge(challenge);
+
+  if (!challengeExpiry || challengeExpiry < Date.now()) {
+    res.status(401).json({ success: false, message: 'Unknown or expired challenge' });
+    return;
   }
 
-  // Typing indicator handler
-  function handleTypingIndicator(ws, data) {
-    const { recipientId, isTyping } = data;
+  const failure = await verifySessionProof(sessionId, publicKey, signature, challenge);
+  if (failure) {
+    log(`Token request failed for ${sessionId}: ${failure}`, 'AUTH');
+    res.status(401).json({ success: false, message: 'Challenge signature is invalid', reason: failure });
+    return;
+  }
 
-    // Send typing indicator to recipient
-    broadcastToUser(recipientId, {
-      type: 'typing_indicator',
-      data: {
-        sessionId: currentSessionId,
-        isTyping: isTyping
-      }
-    });
+  log(`Session token issued: ${sessionId}`, 'AUTH');
+  res.json({ success: true, ...issueTokens(sessionId, 'session') });
+});
+
+// Exchange a refresh token for a new token pair (the old refresh token is revoked)
+app.post('/auth/refresh', async (req, res) => {
+  try {
+    const claims = await verifyToken((req.body || {}).refreshToken, 'refresh');
+
+    // Revoking first means two concurrent refreshes with the same token cannot both succeed
+    if (!claims || (claims.deviceId && !(await storage.getDevice(claims.sub, claims.deviceId))) ||
+        !(await revokeToken(claims))) {
+      res.status(401).json({ success: false, message: 'Refresh token is invalid, expired or revoked' });
+      return;
+    }
 
-    log(`Typing indicator: ${currentSessionId} ${isTyping}`, 'TYPING');
+    const deviceClaims = claims.deviceId ? { deviceId: claims.deviceId } : {};
+    res.json({ success: true, ...issueTokens(claims.sub, claims.role, deviceClaims) });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error refreshing token', error: error.message });
   }
+});
 
-  // Message read handler
-  function handleMessageRead(ws, data) {
-    const { messageId } = data;
+// Revoke an access or refresh token
+app.post('/auth/revoke', async (req, res) => {
+  const { token } = req.body || {};
 
-    // Find message in conversations
-    for (const [conversationId, conversationMessages] of messages.entries()) {
-      const messageIndex = conversationMessages.findIndex(msg => msg.id === messageId);
-      if (messageIndex !== -1) {
-        conversationMessages[messageIndex].status = 'read';
-        
-        // Notify sender that message was read
-        const message = conversationMessages[messageIndex];
-        broadcastToUser(message.senderId, {
-          type: 'message_status',
-          data: {
-            messageId: messageId,
-            status: 'read'
-          }
-        });
-        
-        break;
-      }
+  try {
+    const claims = (await verifyToken(token, 'access')) || (await verifyToken(token, 'refresh'));
+
+    if (!claims || !(await revokeToken(claims))) {
+      res.status(400).json({ success: false, message: 'Token is invalid or already revoked' });
+      return;
     }
 
-    log(`Message marked as read: ${messageId}`, 'MESSAGE');
+    log(`Token revoked for ${claims.sub}`, 'AUTH');
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error revoking token', error: error.message });
   }
 });
 
-// Clean up expired invitations periodically
-setInterval(() => {
-  const now = new Date();
-  for (const [invitationId, invitation] of invitations.entries()) {
-    if (invitation.expiresAt && new Date(invitation.expiresAt) < now) {
-      invitation.status = 'expired';
-      invitations.set(invitationId, invitation);
-      
-      // Notify both parties
-      broadcastToUser(invitation.senderId, {
-        type: 'invitation_response',
-        data: invitation
-      });
-      
-      broadcastToUser(invitation.recipientId, {
-        type: 'invitation_response',
-        data: invitation
-      });
+// Conversation history for the session the access token was issued to
+app.get('/history', requireSessionToken, async (req, res) => {
+  try {
+    const { error, history } = await loadHistory(req.auth.sub, req.query);
+
+    if (error) {
+      const status = { VALIDATION: 400, FORBIDDEN: 403, NOT_FOUND: 404 }[error.code];
+      res.status(status).json({ success: false, ...error });
+      return;
     }
+
+    res.json({ success: true, ...history });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error reading history',
+      error: error.message
+    });
   }
-}, 60000); // Check every minute
+});
 
 // Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    connections: clients.size,
-    invitations: invitations.size,
-    conversations: messages.size
-  });
+app.get('/health', async (req, res) => {
+  try {
+    res.json({
+      status: 'healthy',
+      timestamp: new Date().toISOString(),
+      connections: countLocalConnections(),
+      node: cluster.nodeId,
+      storage: storage.name,
+      invitations: await storage.countInvitations(),
+      conversations: await storage.countConversations()
+    });
+  } catch (error) {
+    res.status(503).json({
+      status: 'unhealthy',
+      timestamp: new Date().toISOString(),
+      storage: storage.name,
+      error: error.message
+    });
+  }
 });
 
 // Get server statistics
-app.get('/stats', (req, res) => {
-  res.json({
-    activeConnections: clients.size,
-    totalInvitations: invitations.size,
-    totalConversations: messages.size,
-    pendingInvitations: Array.from(invitations.values()).filter(inv => inv.status === 'pending').length,
-    activeUsers: Array.from(clients.keys())
-  });
+app.get('/stats', requireOperator, async (req, res) => {
+  try {
+    const allInvitations = await storage.listInvitations();
+
+    res.json({
+      activeConnections: countLocalConnections(),
+      totalInvitations: allInvitations.length,
+      totalConversations: await storage.countConversations(),
+      pendingInvitations: allInvitations.filter(inv => inv.status === 'pending').length,
+      queuedDeliveries: await storage.countDeliveries(),
+      activeUsers: Array.from(clients.keys()),
+      onlineUsers: (await cluster.listOnlineSessions()).length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error reading stats',
+      error: error.message
+    });
+  }
+});
+
+// Reports awaiting moderator review, newest first
+app.get('/reports', requireOperator, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      reports: await storage.listReports()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error reading reports',
+      error: error.message
+    });
+  }
 });
 
 // Socket logs endpoint
-app.get('/logs', (req, res) => {
+app.get('/logs', requireOperator, (req, res) => {
   try {
     if (fs.existsSync(logFile)) {
       const logs = fs.readFileSync(logFile, 'utf8');
@@ -622,6 +2805,36 @@ app.get('/test-client.html', (req, res) => {
         let socket = null;
         let lastInvitationId = null;
         let isConnected = false;
+        let keyPair = null;
+
+        function toHex(buffer) {
+            return Array.from(new Uint8Array(buffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+        }
+
+        function fromHex(hex) {
+            return new Uint8Array(hex.match(/.{2}/g).map(byte => parseInt(byte, 16)));
+        }
+
+        async function authenticate(challenge, sessionId, userName) {
+            // The key pair only lives as long as this page; real clients persist their session key
+            if (!keyPair) {
+                keyPair = await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']);
+            }
+
+            const publicKey = await crypto.subtle.exportKey('raw', keyPair.publicKey);
+            const signature = await crypto.subtle.sign({ name: 'Ed25519' }, keyPair.privateKey, fromHex(challenge));
+
+            socket.send(JSON.stringify({
+                type: 'auth',
+                data: {
+                    sessionId: sessionId,
+                    name: userName,
+                    profilePicture: null,
+                    publicKey: toHex(publicKey),
+                    signature: toHex(signature)
+                }
+            }));
+        }
 
         function updateStatus(connected) {
             const status = document.getElementById('status');
@@ -662,27 +2875,30 @@ app.get('/test-client.html', (req, res) => {
                 socket.onopen = function() {
                     addLog('WebSocket connected', 'connection');
                     updateStatus(true);
-                    
-                    // Send authentication
-                    socket.send(JSON.stringify({
-                        type: 'auth',
-                        data: {
-                            sessionId: sessionId,
-                            name: userName,
-                            profilePicture: null
-                        }
-                    }));
                 };
                 
                 socket.onmessage = function(event) {
                     const message = JSON.parse(event.data);
                     addLog('Received: ' + message.type, 'message');
                     
-                    if (message.type === 'invitation_received') {
+                    if (message.type === 'auth_challenge') {
+                        // Prove ownership of the session key before anything else
+                        authenticate(message.data.challenge, sessionId, userName)
+                            .catch(error => addLog('Authentication error: ' + error.message, 'error'));
+                    } else if (message.type === 'auth_failed') {
+                        addLog('Authentication failed: ' + message.data.message, 'error');
+                    } else if (message.type === 'error') {
+                        addLog('Error ' + message.data.code + ': ' + message.data.message, 'error');
+                    } else if (message.type === 'invitation_received') {
                         lastInvitationId = message.data.id;
                         addLog('Invitation from: ' + message.data.senderName, 'invitation');
                     } else if (message.type === 'message_received') {
                         addLog('Message: ' + message.data.content, 'message');
+                        if (message.data.id && !message.data.groupId) {
+                            socket.send(JSON.stringify({ type: 'message_ack', data: { messageId: message.data.id } }));
+                        }
+                    } else if (message.type === 'message_status') {
+                        addLog('Status: ' + (message.data.messageIds || []).join(', ') + ' ' + message.data.status, 'message');
                     } else if (message.type === 'typing_indicator') {
                         addLog('Typing: ' + message.data.sessionId + ' ' + message.data.isTyping, 'typing');
                     } else if (message.type === 'contact_online') {
@@ -832,8 +3048,16 @@ app.get('/test-client.html', (req, res) => {
             addLog('Typing indicator sent: ' + isTyping, 'typing');
         }
 
+        // Server logs need an operator access token (/test-client.html?token=...)
+        const operatorToken = new URLSearchParams(window.location.search).get('token');
+
         function refreshLogs() {
-            fetch('/logs')
+            if (!operatorToken) {
+                addLog('Open this page with ?token=<operator access token> to see server logs', 'warning');
+                return;
+            }
+
+            fetch('/logs', { headers: { 'Authorization': 'Bearer ' + operatorToken } })
                 .then(response => response.json())
                 .then(data => {
                     if (data.success) {
@@ -871,8 +3095,10 @@ app.get('/test-client.html', (req, res) => {
             document.getElementById('logs').innerHTML = '';
         }
 
-        // Auto-refresh logs every 5 seconds
-        setInterval(refreshLogs, 5000);
+        // Auto-refresh logs every 5 seconds, when there is a token to fetch them with
+        if (operatorToken) {
+            setInterval(refreshLogs, 5000);
+        }
         
         // Initial log load
         refreshLogs();
@@ -884,7 +3110,7 @@ app.get('/test-client.html', (req, res) => {
 });
 
 // Live Monitor endpoint
-app.get('/live-monitor', (req, res) => {
+app.get('/live-monitor', requireOperator, (req, res) => {
   const html = `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -1312,6 +3538,9 @@ app.get('/live-monitor', (req, res) => {
         class SessionMonitor {
             constructor() {
                 this.baseUrl = window.location.origin;
+                // Operator access token the page was opened with (/live-monitor?token=...)
+                this.token = new URLSearchParams(window.location.search).get('token');
+                this.requestOptions = { headers: { 'Authorization': 'Bearer ' + this.token } };
                 this.autoRefreshInterval = null;
                 this.lastUpdate = new Date();
                 this.connectionHistory = new Map();
@@ -1384,7 +3613,7 @@ app.get('/live-monitor', (req, res) => {
 
             async updateServerStats() {
                 try {
-                    const response = await fetch(\`\${this.baseUrl}/stats\`);
+                    const response = await fetch(\`\${this.baseUrl}/stats\`, this.requestOptions);
                     const data = await response.json();
                     
                     document.getElementById('totalConnections').textContent = data.totalConnections || 0;
@@ -1407,7 +3636,7 @@ app.get('/live-monitor', (req, res) => {
 
             async updateConnections() {
                 try {
-                    const response = await fetch(\`\${this.baseUrl}/stats\`);
+                    const response = await fetch(\`\${this.baseUrl}/stats\`, this.requestOptions);
                     const data = await response.json();
                     
                     const connectionsList = document.getElementById('connectionsList');
@@ -1434,7 +3663,7 @@ app.get('/live-monitor', (req, res) => {
 
             async updateMessages() {
                 try {
-                    const response = await fetch(\`\${this.baseUrl}/stats\`);
+                    const response = await fetch(\`\${this.baseUrl}/stats\`, this.requestOptions);
                     const data = await response.json();
                     
                     const messagesList = document.getElementById('messagesList');
@@ -1463,7 +3692,7 @@ app.get('/live-monitor', (req, res) => {
 
             async updateInvitations() {
                 try {
-                    const response = await fetch(\`\${this.baseUrl}/stats\`);
+                    const response = await fetch(\`\${this.baseUrl}/stats\`, this.requestOptions);
                     const data = await response.json();
                     
                     const invitationsList = document.getElementById('invitationsList');
@@ -1493,7 +3722,7 @@ app.get('/live-monitor', (req, res) => {
 
             async updateLogs() {
                 try {
-                    const response = await fetch(\`\${this.baseUrl}/logs\`);
+                    const response = await fetch(\`\${this.baseUrl}/logs\`, this.requestOptions);
                     const data = await response.json();
                     
                     const logsList = document.getElementById('logsList');
@@ -1565,7 +3794,7 @@ app.get('/live-monitor', (req, res) => {
                         // Send monitor authentication
                         ws.send(JSON.stringify({
                             type: 'monitor_auth',
-                            data: { monitorId: 'live-monitor-' + Date.now() }
+                            data: { monitorId: 'live-monitor-' + Date.now(), token: this.token }
                         }));
                     };
                     
@@ -1635,28 +3864,62 @@ app.get('/live-monitor', (req, res) => {
 
 // Start server
 const PORT = process.env.PORT || 8080;
-server.listen(PORT, () => {
-  log(`Session Messenger Server running on port ${PORT}`, 'INFO');
-  log(`Health check: http://localhost:${PORT}/health`, 'INFO');
-  log(`Stats: http://localhost:${PORT}/stats`, 'INFO');
-  log(`Logs: http://localhost:${PORT}/logs`, 'INFO');
-  log(`Test Client: http://localhost:${PORT}/test-client.html`, 'INFO');
-  log(`Live Monitor: http://localhost:${PORT}/live-monitor`, 'INFO');
-});
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  log('Shutting down gracefully...', 'INFO');
-  server.close(() => {
-    log('Server closed', 'INFO');
-    process.exit(0);
+async function start(port = PORT) {
+  await storage.connect();
+  await cluster.connect(handleRoutedDelivery);
+  log(`Storage backend: ${storage.name}`, 'INFO');
+  log(`Cluster backend: ${cluster.name} (node ${cluster.nodeId})`, 'INFO');
+
+  return new Promise((resolve) => {
+    server.listen(port, () => {
+      const { port: boundPort } = server.address();
+      log(`Session Messenger Server running on port ${boundPort}`, 'INFO');
+      log(`Health check: http://localhost:${boundPort}/health`, 'INFO');
+      log(`Stats: http://localhost:${boundPort}/stats`, 'INFO');
+      log(`Logs: http://localhost:${boundPort}/logs`, 'INFO');
+      log(`Test Client: http://localhost:${boundPort}/test-client.html`, 'INFO');
+      log(`Live Monitor: http://localhost:${boundPort}/live-monitor`, 'INFO');
+      resolve(server);
+    });
   });
-});
+}
+
+function stop() {
+  clearInterval(invitationSweepTimer);
+  clearInterval(tokenSweepTimer);
+  clearInterval(deliverySweepTimer);
+  clearInterval(rateLimitSweepTimer);
+  typingUsers.forEach(indicators => indicators.forEach(indicator => clearTimeout(indicator.timer)));
+  typingUsers.clear();
+  wss.clients.forEach(client => client.terminate());
+  return new Promise((resolve) => {
+    wss.close(() => server.close(() => resolve()));
+  }).then(() => cluster.close()).then(() => storage.close());
+}
 
-process.on('SIGINT', () => {
-  log('Shutting down gracefully...', 'INFO');
-  server.close(() => {
-    log('Server closed', 'INFO');
-    process.exit(0);
+if (require.main === module) {
+  start().catch((error) => {
+    log(`Failed to start server: ${error.message}`, 'ERROR');
+    process.exit(1);
   });
-}); 
\ No newline at end of file
+
+  // Graceful shutdown
+  process.on('SIGTERM', () => {
+    log('Shutting down gracefully...', 'INFO');
+    stop().then(() => {
+      log('Server closed', 'INFO');
+      logStream.end(() => process.exit(0));
+    });
+  });
+
+  process.on('SIGINT', () => {
+    log('Shutting down gracefully...', 'INFO');
+    stop().then(() => {
+      log('Server closed', 'INFO');
+      logStream.end(() => process.exit(0));
+    });
+  });
+}
+
+module.exports = { app, server, wss, storage, cluster, start, stop };
@@ -57,8 +57,56 @@ LOG_FILE=logs/session-messenger.log
 
 # Session Messenger Configuration
 HEARTBEAT_INTERVAL=30000
+HEARTBEAT_MAX_MISSED=2
+TYPING_TIMEOUT=10000
+PRESENCE_IDLE_AFTER=300000
+PRESENCE_AWAY_AFTER=900000
 INVITATION_EXPIRY=86400000
+MAX_PENDING_INVITATIONS=20
+INVITATION_DECLINE_COOLDOWN=86400000
+INVITATION_RESEND_INTERVAL=300000
+INVITATION_RETENTION=604800000
+INVITATION_SWEEP_INTERVAL=60000
+OFFLINE_QUEUE_TTL=604800000
+MAX_GROUP_MEMBERS=256
+HISTORY_PAGE_SIZE=50
+HISTORY_MAX_PAGE_SIZE=200
+DELETE_FOR_EVERYONE_WINDOW=3600000
+MAX_CONTENT_LENGTH=10000
+MAX_METADATA_BYTES=4096
+MIN_PROTOCOL_VERSION=1
+WS_COMPRESSION=false
+SESSION_TAKEOVER_POLICY=takeover
 MAX_CONNECTIONS=10000
+
+# Storage (memory or redis)
+STORAGE_BACKEND=redis
+REDIS_URL=redis://localhost:6379
+REDIS_PREFIX=askless:
+
+# Multi-process routing (local or redis); NODE_ID defaults to a random id per process
+CLUSTER_BACKEND=redis
+CLUSTER_NODE_TTL=15000
+
+# Authentication
+AUTH_CHALLENGE_TTL=60000
+JWT_SECRET=$(openssl rand -hex 32)
+ACCESS_TOKEN_TTL=900
+REFRESH_TOKEN_TTL=2592000
+OPERATOR_USERNAME=admin
+# bcrypt hash of the operator password (escape each \$ when adding it here)
+OPERATOR_PASSWORD_HASH=
+
+# Rate limiting (<tokens>/<seconds>); nginx passes the client address in X-Real-IP
+TRUST_PROXY=true
+RATE_LIMIT_SESSION=60/10
+RATE_LIMIT_IP=120/10
+RATE_LIMIT_MESSAGE_SEND=30/10
+RATE_LIMIT_INVITATION_SEND=10/60
+RATE_LIMIT_INVITATION_RESEND=10/60
+RATE_LIMIT_TYPING_INDICATOR=20/10
+RATE_LIMIT_MAX_VIOLATIONS=10
+RATE_LIMIT_VIOLATION_WINDOW=60000
 ENVEOF
     
     echo "📁 Creating logs directory..."
@@ -0,0 +1,16 @@
+// Storage backend selection (STORAGE_BACKEND=memory|redis)
+const { createMemoryStorage } = require('./memory');
+const { createRedisStorage } = require('./redis');
+
+function createStorage(backend = process.env.STORAGE_BACKEND || 'memory', options = {}) {
+  switch (backend) {
+    case 'memory':
+      return createMemoryStorage();
+    case 'redis':
+      return createRedisStorage(options);
+    default:
+      throw new Error(`Unknown storage backend: ${backend}`);
+  }
+}
+
+module.exports = { createStorage, createMemoryStorage, createRedisStorage };
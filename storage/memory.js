@@ -0,0 +1,360 @@
+// In-memory storage backend (state is lost on restart)
+const { pageRange } = require('./pagination');
+
+function createMemoryStorage() {
+  const messages = new Map(); // conversationId -> messages
+  const messageIndex = new Map(); // messageId -> { conversationId, position }
+  const invitations = new Map(); // invitationId -> invitation
+  const sessionInvitations = new Map(); // sessionId -> Set of invitation ids sent or received
+  const deliveries = new Map(); // sessionId -> queued deliveries
+  const sessionKeys = new Map(); // sessionId -> hex public key
+  const userSettings = new Map(); // sessionId -> settings
+  const presence = new Map(); // sessionId -> { state, statusText, lastSeen }
+  const blocks = new Map(); // sessionId -> Set of blocked session ids
+  const contacts = new Map(); // sessionId -> Map(contactId -> since)
+  const reports = []; // oldest first
+  const devices = new Map(); // sessionId -> Map(deviceId -> device)
+  const revokedDevices = new Map(); // sessionId -> Set of revoked device ids
+  const revokedTokens = new Map(); // jti -> expiry (ms)
+  const authChallenges = new Map(); // challenge -> expiry (ms)
+  const leases = new Map(); // name -> { owner, expiresAt }
+  const groups = new Map(); // groupId -> group
+  const groupReadState = new Map(); // groupId -> Map(sessionId -> read state)
+
+  return {
+    name: 'memory',
+
+    async connect() {},
+
+    async close() {},
+
+    // Messages; ids are unique across conversations, so saving a taken id is refused (returns false)
+    async saveMessage(conversationId, message) {
+      if (messageIndex.has(message.id)) {
+        return false;
+      }
+      if (!messages.has(conversationId)) {
+        messages.set(conversationId, []);
+      }
+      const conversation = messages.get(conversationId);
+      conversation.push(message);
+      messageIndex.set(message.id, { conversationId, position: conversation.length - 1 });
+      return true;
+    },
+
+    async updateMessage(conversationId, message) {
+      const entry = messageIndex.get(message.id);
+      if (entry && entry.conversationId === conversationId) {
+        messages.get(conversationId)[entry.position] = message;
+      }
+    },
+
+    async findMessage(messageId) {
+      const entry = messageIndex.get(messageId);
+      if (!entry) {
+        return null;
+      }
+      return {
+        conversationId: entry.conversationId,
+        message: messages.get(entry.conversationId)[entry.position]
+      };
+    },
+
+    async getConversation(conversationId) {
+      return (messages.get(conversationId) || []).slice();
+    },
+
+    // One page of history around a message id cursor; null if the cursor is not in the conversation
+    async getMessagesPage(conversationId, { before, after, limit }) {
+      const conversation = messages.get(conversationId) || [];
+      const entry = messageIndex.get(before || after);
+      const index = entry && entry.conversationId === conversationId ? entry.position : null;
+      const range = pageRange(conversation.length, index, { before, after, limit });
+
+      if (!range) {
+        return null;
+      }
+
+      return {
+        messages: conversation.slice(range.start, range.end),
+        hasMore: range.hasMore
+      };
+    },
+
+    async countConversations() {
+      return messages.size;
+    },
+
+    // Invitations
+    async saveInvitation(invitation) {
+      invitations.set(invitation.id, invitation);
+      for (const sessionId of [invitation.senderId, invitation.recipientId]) {
+        if (!sessionInvitations.has(sessionId)) {
+          sessionInvitations.set(sessionId, new Set());
+        }
+        sessionInvitations.get(sessionId).add(invitation.id);
+      }
+    },
+
+    async getInvitation(invitationId) {
+      return invitations.get(invitationId) || null;
+    },
+
+    async listInvitations() {
+      return Array.from(invitations.values());
+    },
+
+    async listSessionInvitations(sessionId) {
+      return Array.from(sessionInvitations.get(sessionId) || []).map(id => invitations.get(id));
+    },
+
+    async deleteInvitation(invitationId) {
+      const invitation = invitations.get(invitationId);
+      if (!invitation) {
+        return false;
+      }
+
+      invitations.delete(invitationId);
+      for (const sessionId of [invitation.senderId, invitation.recipientId]) {
+        const ids = sessionInvitations.get(sessionId);
+        if (ids) {
+          ids.delete(invitationId);
+          if (ids.size === 0) {
+            sessionInvitations.delete(sessionId);
+          }
+        }
+      }
+      return true;
+    },
+
+    async countInvitations() {
+      return invitations.size;
+    },
+
+    // Groups
+    async saveGroup(group) {
+      groups.set(group.id, group);
+    },
+
+    async getGroup(groupId) {
+      return groups.get(groupId) || null;
+    },
+
+    // Read state is kept per member so concurrent readers don't overwrite each other
+    async setGroupReadState(groupId, sessionId, state) {
+      if (!groupReadState.has(groupId)) {
+        groupReadState.set(groupId, new Map());
+      }
+      groupReadState.get(groupId).set(sessionId, state);
+    },
+
+    async clearGroupReadState(groupId, sessionId) {
+      if (groupReadState.has(groupId)) {
+        groupReadState.get(groupId).delete(sessionId);
+      }
+    },
+
+    async getGroupReadState(groupId) {
+      return Object.fromEntries(groupReadState.get(groupId) || []);
+    },
+
+    // Queued deliveries
+    async enqueueDelivery(sessionId, item) {
+      if (!deliveries.has(sessionId)) {
+        deliveries.set(sessionId, []);
+      }
+      deliveries.get(sessionId).push(item);
+    },
+
+    // Remove and return everything queued for a session, oldest first
+    async takeDeliveries(sessionId) {
+      const queue = deliveries.get(sessionId) || [];
+      deliveries.delete(sessionId);
+      return queue;
+    },
+
+    async purgeExpiredDeliveries(now) {
+      for (const [sessionId, queue] of deliveries.entries()) {
+        const remaining = queue.filter(item => item.expiresAt >= now);
+        if (remaining.length === 0) {
+          deliveries.delete(sessionId);
+        } else if (remaining.length !== queue.length) {
+          deliveries.set(sessionId, remaining);
+        }
+      }
+    },
+
+    async countDeliveries() {
+      return Array.from(deliveries.values()).reduce((total, queue) => total + queue.length, 0);
+    },
+
+    // User settings
+    async getUserSettings(sessionId) {
+      return userSettings.get(sessionId) || {};
+    },
+
+    async saveUserSettings(sessionId, settings) {
+      userSettings.set(sessionId, settings);
+    },
+
+    // Presence
+    async getPresence(sessionId) {
+      return presence.get(sessionId) || null;
+    },
+
+    async savePresence(sessionId, record) {
+      presence.set(sessionId, record);
+    },
+
+    // Contacts are always recorded on both sides
+    async addContact(sessionId, contactId, since) {
+      for (const [owner, other] of [[sessionId, contactId], [contactId, sessionId]]) {
+        if (!contacts.has(owner)) {
+          contacts.set(owner, new Map());
+        }
+        if (!contacts.get(owner).has(other)) {
+          contacts.get(owner).set(other, since);
+        }
+      }
+    },
+
+    async removeContact(sessionId, contactId) {
+      for (const [owner, other] of [[sessionId, contactId], [contactId, sessionId]]) {
+        if (contacts.has(owner)) {
+          contacts.get(owner).delete(other);
+        }
+      }
+    },
+
+    async getContacts(sessionId) {
+      return Array.from(contacts.get(sessionId) || [], ([contactId, since]) => ({ sessionId: contactId, since }));
+    },
+
+    async isContact(sessionId, otherId) {
+      return contacts.has(sessionId) && contacts.get(sessionId).has(otherId);
+    },
+
+    // Blocking
+    async blockUser(sessionId, blockedId) {
+      if (!blocks.has(sessionId)) {
+        blocks.set(sessionId, new Set());
+      }
+      blocks.get(sessionId).add(blockedId);
+    },
+
+    async unblockUser(sessionId, blockedId) {
+      if (blocks.has(sessionId)) {
+        blocks.get(sessionId).delete(blockedId);
+      }
+    },
+
+    async getBlockedUsers(sessionId) {
+      return Array.from(blocks.get(sessionId) || []);
+    },
+
+    // True if sessionId has blocked otherId
+    async isBlocked(sessionId, otherId) {
+      return blocks.has(sessionId) && blocks.get(sessionId).has(otherId);
+    },
+
+    // Reports
+    async saveReport(report) {
+      reports.push(report);
+    },
+
+    async listReports() {
+      return reports.slice().reverse();
+    },
+
+    // Devices
+    async saveDevice(sessionId, device) {
+      if (!devices.has(sessionId)) {
+        devices.set(sessionId, new Map());
+      }
+      devices.get(sessionId).set(device.deviceId, device);
+    },
+
+    async getDevice(sessionId, deviceId) {
+      return (devices.get(sessionId) && devices.get(sessionId).get(deviceId)) || null;
+    },
+
+    async listDevices(sessionId) {
+      return Array.from((devices.get(sessionId) || new Map()).values());
+    },
+
+    // Revoking removes the record and remembers the id, so it cannot be registered again
+    async revokeDevice(sessionId, deviceId) {
+      if (!devices.has(sessionId) || !devices.get(sessionId).delete(deviceId)) {
+        return false;
+      }
+      if (!revokedDevices.has(sessionId)) {
+        revokedDevices.set(sessionId, new Set());
+      }
+      revokedDevices.get(sessionId).add(deviceId);
+      return true;
+    },
+
+    async isDeviceRevoked(sessionId, deviceId) {
+      return revokedDevices.has(sessionId) && revokedDevices.get(sessionId).has(deviceId);
+    },
+
+    // Revoked tokens and HTTP auth challenges, kept until they would have expired anyway
+    async revokeToken(jti, expiresAt) {
+      if (revokedTokens.has(jti)) {
+        return false;
+      }
+      revokedTokens.set(jti, expiresAt);
+      return true;
+    },
+
+    async isTokenRevoked(jti) {
+      return revokedTokens.has(jti);
+    },
+
+    async saveAuthChallenge(challenge, expiresAt) {
+      authChallenges.set(challenge, expiresAt);
+    },
+
+    // Challenges are single use: returns the expiry and forgets the challenge, or null if unknown
+    async takeAuthChallenge(challenge) {
+      const expiresAt = authChallenges.get(challenge);
+      authChallenges.delete(challenge);
+      return expiresAt || null;
+    },
+
+    async purgeExpiredAuthState(now) {
+      for (const entries of [revokedTokens, authChallenges]) {
+        for (const [id, expiresAt] of entries.entries()) {
+          if (expiresAt < now) {
+            entries.delete(id);
+          }
+        }
+      }
+    },
+
+    // Leases let one of several processes sharing the storage do a periodic job; true while owner holds it
+    async claimLease(name, owner, ttl) {
+      const lease = leases.get(name);
+      if (lease && lease.owner !== owner && lease.expiresAt > Date.now()) {
+        return false;
+      }
+      leases.set(name, { owner, expiresAt: Date.now() + ttl });
+      return true;
+    },
+
+    // Session identity
+    async getSessionKey(sessionId) {
+      return sessionKeys.get(sessionId) || null;
+    },
+
+    // Bind a key to the session unless one is already bound; returns the bound key
+    async bindSessionKey(sessionId, publicKey) {
+      if (!sessionKeys.has(sessionId)) {
+        sessionKeys.set(sessionId, publicKey);
+      }
+      return sessionKeys.get(sessionId);
+    }
+  };
+}
+
+module.exports = { createMemoryStorage };
@@ -0,0 +1,20 @@
+// Shared cursor paging for conversation history (cursors are message ids)
+
+// Returns the [start, end) slice of a conversation for a page, or null if the cursor is unknown
+function pageRange(total, cursorIndex, { before, after, limit }) {
+  if ((before || after) && cursorIndex === null) {
+    return null;
+  }
+
+  if (after) {
+    const start = cursorIndex + 1;
+    const end = Math.min(total, start + limit);
+    return { start, end, hasMore: end < total };
+  }
+
+  const end = before ? cursorIndex : total;
+  const start = Math.max(0, end - limit);
+  return { start, end, hasMore: start > 0 };
+}
+
+module.exports = { pageRange };
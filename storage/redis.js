@@ -0,0 +1,353 @@
+// Redis storage backend (survives restarts and can be shared between processes)
+const { createClient } = require('redis');
+const { pageRange } = require('./pagination');
+
+// Take a lease that is free or already ours, renewing its TTL
+const CLAIM_LEASE_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if current and current ~= ARGV[1] then return 0 end
+redis.call('SET', KEYS[1], ARGV[1], 'PX', ARGV[2])
+return 1`;
+
+function createRedisStorage(options = {}) {
+  const url = options.url || process.env.REDIS_URL || 'redis://localhost:6379';
+  const prefix = options.prefix || process.env.REDIS_PREFIX || 'askless:';
+  const client = createClient({ url });
+
+  // node-redis reconnects on its own; without a listener a dropped connection would crash the process
+  client.on('error', options.onError || (error => console.error(`Redis error: ${error.message}`)));
+
+  const key = (...parts) => prefix + parts.join(':');
+
+  return {
+    name: 'redis',
+    client,
+
+    async connect() {
+      await client.connect();
+    },
+
+    async close() {
+      if (client.isOpen) {
+        await client.quit();
+      }
+    },
+
+    // Messages: message:<id> holds the record, conversation:<id> lists message ids in order.
+    // Ids are unique across conversations, so saving a taken id is refused (returns false)
+    async saveMessage(conversationId, message) {
+      const created = await client.set(key('message', message.id), JSON.stringify({ conversationId, message }), { NX: true });
+      if (!created) {
+        return false;
+      }
+
+      await client.multi()
+        .rPush(key('conversation', conversationId), message.id)
+        .sAdd(key('conversations'), conversationId)
+        .exec();
+      return true;
+    },
+
+    async updateMessage(conversationId, message) {
+      await client.set(key('message', message.id), JSON.stringify({ conversationId, message }), { XX: true });
+    },
+
+    async findMessage(messageId) {
+      const record = await client.get(key('message', messageId));
+      return record ? JSON.parse(record) : null;
+    },
+
+    async getConversation(conversationId) {
+      const ids = await client.lRange(key('conversation', conversationId), 0, -1);
+      if (ids.length === 0) {
+        return [];
+      }
+
+      const records = await client.mGet(ids.map(id => key('message', id)));
+      return records.filter(Boolean).map(record => JSON.parse(record).message);
+    },
+
+    // One page of history around a message id cursor; null if the cursor is not in the conversation
+    async getMessagesPage(conversationId, { before, after, limit }) {
+      const listKey = key('conversation', conversationId);
+      const cursor = before || after;
+      const total = await client.lLen(listKey);
+      const index = cursor ? await client.lPos(listKey, cursor) : null;
+      const range = pageRange(total, index, { before, after, limit });
+
+      if (!range) {
+        return null;
+      }
+
+      if (range.end <= range.start) {
+        return { messages: [], hasMore: range.hasMore };
+      }
+
+      const ids = await client.lRange(listKey, range.start, range.end - 1);
+      const records = await client.mGet(ids.map(id => key('message', id)));
+      return {
+        messages: records.filter(Boolean).map(record => JSON.parse(record).message),
+        hasMore: range.hasMore
+      };
+    },
+
+    async countConversations() {
+      return client.sCard(key('conversations'));
+    },
+
+    // Invitations: session-invitations:<id> indexes the invitations a session sent or received
+    async saveInvitation(invitation) {
+      await client.multi()
+        .hSet(key('invitations'), invitation.id, JSON.stringify(invitation))
+        .sAdd(key('session-invitations', invitation.senderId), invitation.id)
+        .sAdd(key('session-invitations', invitation.recipientId), invitation.id)
+        .exec();
+    },
+
+    async getInvitation(invitationId) {
+      const record = await client.hGet(key('invitations'), invitationId);
+      return record ? JSON.parse(record) : null;
+    },
+
+    async listInvitations() {
+      return (await client.hVals(key('invitations'))).map(record => JSON.parse(record));
+    },
+
+    async listSessionInvitations(sessionId) {
+      const ids = await client.sMembers(key('session-invitations', sessionId));
+      if (ids.length === 0) {
+        return [];
+      }
+
+      const records = await client.hmGet(key('invitations'), ids);
+      return records.filter(Boolean).map(record => JSON.parse(record));
+    },
+
+    async deleteInvitation(invitationId) {
+      const record = await client.hGet(key('invitations'), invitationId);
+      if (!record) {
+        return false;
+      }
+
+      const invitation = JSON.parse(record);
+      await client.multi()
+        .hDel(key('invitations'), invitationId)
+        .sRem(key('session-invitations', invitation.senderId), invitationId)
+        .sRem(key('session-invitations', invitation.recipientId), invitationId)
+        .exec();
+      return true;
+    },
+
+    async countInvitations() {
+      return client.hLen(key('invitations'));
+    },
+
+    // Groups
+    async saveGroup(group) {
+      await client.hSet(key('groups'), group.id, JSON.stringify(group));
+    },
+
+    async getGroup(groupId) {
+      const record = await client.hGet(key('groups'), groupId);
+      return record ? JSON.parse(record) : null;
+    },
+
+    // Read state is kept per member so concurrent readers don't overwrite each other
+    async setGroupReadState(groupId, sessionId, state) {
+      await client.hSet(key('group-read', groupId), sessionId, JSON.stringify(state));
+    },
+
+    async clearGroupReadState(groupId, sessionId) {
+      await client.hDel(key('group-read', groupId), sessionId);
+    },
+
+    async getGroupReadState(groupId) {
+      const records = await client.hGetAll(key('group-read', groupId));
+      return Object.fromEntries(Object.entries(records).map(([sessionId, state]) => [sessionId, JSON.parse(state)]));
+    },
+
+    // Queued deliveries: one list per session, tracked in a set for sweeping
+    async enqueueDelivery(sessionId, item) {
+      await client.multi()
+        .rPush(key('deliveries', sessionId), JSON.stringify(item))
+        .sAdd(key('delivery-sessions'), sessionId)
+        .exec();
+    },
+
+    async takeDeliveries(sessionId) {
+      const [queue] = await client.multi()
+        .lRange(key('deliveries', sessionId), 0, -1)
+        .del(key('deliveries', sessionId))
+        .sRem(key('delivery-sessions'), sessionId)
+        .exec();
+      return queue.map(item => JSON.parse(item));
+    },
+
+    // Items share one TTL and are appended in order, so expired ones are always at the head
+    async purgeExpiredDeliveries(now) {
+      const sessionIds = await client.sMembers(key('delivery-sessions'));
+
+      for (const sessionId of sessionIds) {
+        const queue = (await client.lRange(key('deliveries', sessionId), 0, -1)).map(item => JSON.parse(item));
+        const firstLive = queue.findIndex(item => item.expiresAt >= now);
+
+        if (firstLive === -1) {
+          await client.multi()
+            .del(key('deliveries', sessionId))
+            .sRem(key('delivery-sessions'), sessionId)
+            .exec();
+        } else if (firstLive > 0) {
+          await client.lTrim(key('deliveries', sessionId), firstLive, -1);
+        }
+      }
+    },
+
+    async countDeliveries() {
+      const sessionIds = await client.sMembers(key('delivery-sessions'));
+      let total = 0;
+      for (const sessionId of sessionIds) {
+        total += await client.lLen(key('deliveries', sessionId));
+      }
+      return total;
+    },
+
+    // User settings
+    async getUserSettings(sessionId) {
+      const record = await client.hGet(key('settings'), sessionId);
+      return record ? JSON.parse(record) : {};
+    },
+
+    async saveUserSettings(sessionId, settings) {
+      await client.hSet(key('settings'), sessionId, JSON.stringify(settings));
+    },
+
+    // Presence
+    async getPresence(sessionId) {
+      const record = await client.hGet(key('presence'), sessionId);
+      return record ? JSON.parse(record) : null;
+    },
+
+    async savePresence(sessionId, record) {
+      await client.hSet(key('presence'), sessionId, JSON.stringify(record));
+    },
+
+    // Contacts: contacts:<id> maps each contact to when they connected, recorded on both sides
+    async addContact(sessionId, contactId, since) {
+      await client.multi()
+        .hSetNX(key('contacts', sessionId), contactId, since)
+        .hSetNX(key('contacts', contactId), sessionId, since)
+        .exec();
+    },
+
+    async removeContact(sessionId, contactId) {
+      await client.multi()
+        .hDel(key('contacts', sessionId), contactId)
+        .hDel(key('contacts', contactId), sessionId)
+        .exec();
+    },
+
+    async getContacts(sessionId) {
+      const entries = await client.hGetAll(key('contacts', sessionId));
+      return Object.entries(entries).map(([contactId, since]) => ({ sessionId: contactId, since }));
+    },
+
+    async isContact(sessionId, otherId) {
+      return client.hExists(key('contacts', sessionId), otherId);
+    },
+
+    // Blocking: blocked:<id> is the set of sessions a session has blocked
+    async blockUser(sessionId, blockedId) {
+      await client.sAdd(key('blocked', sessionId), blockedId);
+    },
+
+    async unblockUser(sessionId, blockedId) {
+      await client.sRem(key('blocked', sessionId), blockedId);
+    },
+
+    async getBlockedUsers(sessionId) {
+      return client.sMembers(key('blocked', sessionId));
+    },
+
+    // True if sessionId has blocked otherId
+    async isBlocked(sessionId, otherId) {
+      return client.sIsMember(key('blocked', sessionId), otherId);
+    },
+
+    // Reports, newest first
+    async saveReport(report) {
+      await client.lPush(key('reports'), JSON.stringify(report));
+    },
+
+    async listReports() {
+      return (await client.lRange(key('reports'), 0, -1)).map(record => JSON.parse(record));
+    },
+
+    // Devices: devices:<id> maps each device id to its record, revoked-devices:<id> holds revoked ids
+    async saveDevice(sessionId, device) {
+      await client.hSet(key('devices', sessionId), device.deviceId, JSON.stringify(device));
+    },
+
+    async getDevice(sessionId, deviceId) {
+      const record = await client.hGet(key('devices', sessionId), deviceId);
+      return record ? JSON.parse(record) : null;
+    },
+
+    async listDevices(sessionId) {
+      const records = await client.hVals(key('devices', sessionId));
+      return records.map(record => JSON.parse(record));
+    },
+
+    async revokeDevice(sessionId, deviceId) {
+      if (!(await client.hDel(key('devices', sessionId), deviceId))) {
+        return false;
+      }
+      await client.sAdd(key('revoked-devices', sessionId), deviceId);
+      return true;
+    },
+
+    async isDeviceRevoked(sessionId, deviceId) {
+      return client.sIsMember(key('revoked-devices', sessionId), deviceId);
+    },
+
+    // Revoked tokens and HTTP auth challenges expire with a TTL instead of being purged
+    async revokeToken(jti, expiresAt) {
+      const ttl = Math.max(expiresAt - Date.now(), 1);
+      return (await client.set(key('revoked-token', jti), '1', { PX: ttl, NX: true })) === 'OK';
+    },
+
+    async isTokenRevoked(jti) {
+      return (await client.exists(key('revoked-token', jti))) > 0;
+    },
+
+    async saveAuthChallenge(challenge, expiresAt) {
+      const ttl = Math.max(expiresAt - Date.now(), 1);
+      await client.set(key('auth-challenge', challenge), expiresAt.toString(), { PX: ttl });
+    },
+
+    async takeAuthChallenge(challenge) {
+      const [expiresAt] = await client.multi()
+        .get(key('auth-challenge', challenge))
+        .del(key('auth-challenge', challenge))
+        .exec();
+      return expiresAt ? parseInt(expiresAt) : null;
+    },
+
+    async purgeExpiredAuthState() {},
+
+    async claimLease(name, owner, ttl) {
+      return (await client.eval(CLAIM_LEASE_SCRIPT, { keys: [key('lease', name)], arguments: [owner, ttl.toString()] })) === 1;
+    },
+
+    // Session identity
+    async getSessionKey(sessionId) {
+      return (await client.hGet(key('session-keys'), sessionId)) || null;
+    },
+
+    async bindSessionKey(sessionId, publicKey) {
+      await client.hSetNX(key('session-keys'), sessionId, publicKey);
+      return client.hGet(key('session-keys'), sessionId);
+    }
+  };
+}
+
+module.exports = { createRedisStorage };